@@ -9,6 +9,8 @@ var config = require('./config')
 var cookie = require('./vendor/js-cookies')
 
 // Helpers
+var DATABASE_PATTERN = /^[a-z0-9_]{3,255}$/
+
 function validateOptions (options) {
   // options must be an object
   invariant(
@@ -22,10 +24,67 @@ function validateOptions (options) {
   invariant(_.isString(options.database), 'Must provide a database')
 
   invariant(
-    /^[a-z0-9_]{3,255}$/.test(options.database),
+    DATABASE_PATTERN.test(options.database),
     'Database must be between 3 and 255 characters and must ' +
       'consist only of lower case letters, numbers, and _'
   )
+
+  invariant(
+    !options.transport || _.isFunction(options.transport.send),
+    'Transport must have a send method returning a Promise'
+  )
+
+  invariant(
+    !options.destinations || _.isArray(options.destinations),
+    'Destinations must be an array'
+  )
+
+  _.forEach(options.destinations || [], function (destination) {
+    invariant(
+      _.isObject(destination) && _.isString(destination.writeKey),
+      'Must provide a writeKey for each destination'
+    )
+
+    invariant(
+      _.isString(destination.database) && DATABASE_PATTERN.test(destination.database),
+      'Must provide a valid database for each destination'
+    )
+  })
+}
+
+// Fills in the endpoint and table filters of each extra destination
+function configureDestinations (destinations, client) {
+  return _.map(destinations || [], function (destination) {
+    var tables = destination.tables || {}
+    return {
+      database: destination.database,
+      writeKey: destination.writeKey,
+      endpoint: destination.endpoint ||
+        'https://' + (destination.host || client.host) + client.pathname,
+      tables: {
+        allow: tables.allow || null,
+        deny: tables.deny || []
+      }
+    }
+  })
+}
+
+function configureCircuitBreaker (circuitBreaker, database) {
+  if (!circuitBreaker) {
+    return false
+  }
+
+  circuitBreaker = _.isObject(circuitBreaker) ? circuitBreaker : {}
+
+  return _.assign(
+    {
+      threshold: 5,
+      cooldown: 30000,
+      whenOpen: 'queue',
+      storageKey: '__td_circuit_' + database
+    },
+    circuitBreaker
+  )
 }
 
 var defaultSSCCookieDomain = function () {
@@ -45,12 +104,15 @@ var defaultSSCCookieDomain = function () {
 exports.DEFAULT_CONFIG = {
   database: config.DATABASE,
   development: false,
+  eventIdField: 'td_event_id',
   globalIdCookie: '_td_global',
   host: config.HOST,
   logging: true,
   pathname: config.PATHNAME,
   requestType: 'jsonp',
+  sequenceField: 'td_sequence',
   jsonpTimeout: 10000,
+  useBeacon: true,
   startInSignedMode: false,
   useServerSideCookie: false,
   sscDomain: defaultSSCCookieDomain,
@@ -88,9 +150,25 @@ exports.configure = function configure (options) {
 
   validateOptions(this.client)
 
+  this.client.beforeSend = _.isFunction(this.client.beforeSend)
+    ? [this.client.beforeSend]
+    : [].concat(this.client.beforeSend || [])
+
+  this.client.circuitBreaker = configureCircuitBreaker(
+    this.client.circuitBreaker,
+    this.client.database
+  )
+  // Circuit breakers are created per host, see Treasure#_getCircuitBreaker
+  this._circuitBreakers = this.client.circuitBreaker ? {} : null
+
   if (!this.client.endpoint) {
     this.client.endpoint = 'https://' + this.client.host + this.client.pathname
   }
+
+  this.client.destinations = configureDestinations(
+    this.client.destinations,
+    this.client
+  )
   return this
 }
 
@@ -7,12 +7,37 @@ var _ = require('./utils/lodash')
 var window = require('global/window')
 
 // Helpers
+
+// A call throwing does not stop the replay of the following calls
+// Its error rejects the promise handed back by the loader snippet, or is
+// rethrown asynchronously so it still reaches window.onerror
+function replayCall (client, method, args) {
+  var result
+  try {
+    result = client[method].apply(client, args)
+  } catch (err) {
+    if (args.reject) {
+      args.reject(err)
+    } else {
+      setTimeout(function () {
+        throw err
+      })
+    }
+    return
+  }
+
+  // Settle the promise handed back by the loader snippet
+  if (args.resolve) {
+    Promise.resolve(result).then(args.resolve, args.reject)
+  }
+}
+
 function applyToClient (client, method) {
   var _method = '_' + method
   if (client[_method]) {
     var arr = client[_method] || []
     while (arr.length) {
-      client[method].apply(client, arr.shift())
+      replayCall(client, method, arr.shift())
     }
     delete client[_method]
   }
@@ -22,6 +47,10 @@ function applyToClient (client, method) {
 var TREASURE_KEYS = [
   'init',
   'set',
+  'on',
+  'off',
+  'use',
+  'defineSchema',
   'blockEvents',
   'unblockEvents',
   'setSignedMode',
@@ -32,8 +61,16 @@ var TREASURE_KEYS = [
   'trackPageview',
   'trackEvent',
   'trackClicks',
+  'trackEngagement',
+  'trackForms',
+  'trackPerformance',
+  'trackErrors',
+  'trackImpressions',
+  'trackPageviewsAutomatically',
+  'trackScrollDepth',
   'fetchUserSegments',
   'fetchServerCookie',
+  'syncClock',
   'ready'
 ]
 
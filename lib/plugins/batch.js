@@ -0,0 +1,215 @@
+/**
+ * Treasure Batching
+ */
+
+// Modules
+var window = require('global/window')
+var _ = require('../utils/lodash')
+var misc = require('../utils/misc')
+var invariant = misc.invariant
+var document = window.document
+
+// Regions of the records ingest API, by host of the JavaScript endpoint
+var RECORDS_REGIONS = {
+  'in.treasuredata.com': 'us01',
+  'in.eu01.treasuredata.com': 'eu01',
+  'in.treasuredata.co.jp': 'ap01',
+  'in.ap02.treasuredata.com': 'ap02'
+}
+
+// Helpers
+// Returns the records ingest API of the region of an endpoint, or null
+// when the region is unknown
+function getRecordsEndpoint (url) {
+  var region = RECORDS_REGIONS[misc.getUrlHost(url)]
+  return region ? 'https://' + region + '.records.in.treasuredata.com/' : null
+}
+
+function configureBatch (batch) {
+  if (!batch) {
+    return false
+  }
+
+  batch = _.isObject(batch) ? batch : {}
+
+  return _.assign(
+    {
+      endpoint: null,
+      maxRecords: 20,
+      maxBytes: 60000,
+      interval: 5000
+    },
+    batch
+  )
+}
+
+function getBufferKey (request) {
+  return request.apikey + ' ' + request.url
+}
+
+/**
+ * Batch#configure
+ *
+ * config (Object) - configuration object
+ * config.batch (Boolean|Object)
+ *    - when truthy records are buffered per database/table and sent
+ *      together in a single request to the records ingest API
+ *    - defaults to false
+ * config.batch.endpoint (String)
+ *    - url of the records ingest API, the database and table are appended
+ *    - defaults to the records ingest API of the region of each endpoint,
+ *      required when the host or a destination is not a Treasure Data
+ *      region, like a custom domain
+ * config.batch.maxRecords (Number)
+ *    - flush a buffer once it holds this many records
+ *    - defaults to 20
+ * config.batch.maxBytes (Number)
+ *    - flush a buffer once its serialized records reach this size
+ *    - defaults to 60000
+ * config.batch.interval (Number)
+ *    - flush a buffer this many milliseconds after its first record
+ *    - defaults to 5000
+ *
+ * Buffers are flushed when the page is hidden or unloaded
+ *
+ */
+function configure (config) {
+  config = _.isObject(config) ? config : {}
+
+  this._batchBuffers = {}
+  this.client.batch = configureBatch(config.batch)
+
+  if (this.client.batch && !this.client.batch.endpoint) {
+    var endpoints = [this.client.endpoint].concat(_.map(this.client.destinations, function (destination) {
+      return destination.endpoint
+    }))
+    _.forEach(endpoints, function (endpoint) {
+      invariant(
+        getRecordsEndpoint(endpoint),
+        'Batch endpoint must be set for ' + misc.getUrlHost(endpoint)
+      )
+    })
+  }
+
+  if (this.client.batch && window.addEventListener) {
+    var that = this
+    window.addEventListener('pagehide', function () {
+      that._windowBeingUnloaded = true
+      that.flushBatch()
+    })
+
+    if (document.addEventListener) {
+      document.addEventListener('visibilitychange', function () {
+        if (that._isPageHidden()) {
+          that.flushBatch()
+        }
+      })
+    }
+  }
+
+  return this
+}
+
+/**
+ * Batch#_batchRecord
+ *
+ * Adds a request to the buffer of its database/table
+ * Each record keeps its own success and error callbacks
+ */
+function _batchRecord (request, success, error) {
+  var batch = this.client.batch
+  var key = getBufferKey(request)
+  var buffer = this._batchBuffers[key]
+
+  if (!buffer) {
+    var that = this
+    buffer = this._batchBuffers[key] = {
+      request: request,
+      items: [],
+      bytes: 0,
+      timer: setTimeout(function () {
+        that._flushBuffer(key)
+      }, batch.interval)
+    }
+  }
+
+  buffer.items.push({
+    record: request.record,
+    time: request.time,
+    success: success,
+    error: error
+  })
+  buffer.bytes += JSON.stringify(request.record).length
+
+  if (buffer.items.length >= batch.maxRecords || buffer.bytes >= batch.maxBytes) {
+    this._flushBuffer(key)
+  }
+}
+
+/**
+ * Batch#_flushBuffer
+ *
+ * Sends every record of one buffer as a single bulk request
+ * The records ingest API takes the time of each event from the event itself
+ * Each buffer goes to the region of its own endpoint, destinations included
+ */
+function _flushBuffer (key) {
+  var buffer = this._batchBuffers[key]
+  if (!buffer) {
+    return
+  }
+
+  clearTimeout(buffer.timer)
+  delete this._batchBuffers[key]
+
+  var items = buffer.items
+  var endpoint = this.client.batch.endpoint || getRecordsEndpoint(buffer.request.url)
+  var request = {
+    apikey: buffer.request.apikey,
+    bulk: true,
+    database: buffer.request.database,
+    record: {
+      events: _.map(items, function (item) {
+        return item.time ? _.assign({}, item.record, { time: item.time }) : item.record
+      })
+    },
+    table: buffer.request.table,
+    time: null,
+    type: buffer.request.type,
+    url: endpoint + buffer.request.database + '/' + buffer.request.table
+  }
+
+  this._postRecord(
+    request,
+    function (response) {
+      _.forEach(items, function (item) {
+        item.success(response)
+      })
+    },
+    function (err) {
+      _.forEach(items, function (item) {
+        item.error(err)
+      })
+    }
+  )
+}
+
+/**
+ * Batch#flushBatch
+ *
+ * Sends all buffered records immediately
+ */
+function flushBatch () {
+  var that = this
+  _.forEach(_.keys(this._batchBuffers || {}), function (key) {
+    that._flushBuffer(key)
+  })
+  return this
+}
+
+module.exports = {
+  configure: configure,
+  flushBatch: flushBatch,
+  _batchRecord: _batchRecord,
+  _flushBuffer: _flushBuffer
+}
@@ -0,0 +1,204 @@
+/**
+ * Treasure Clock
+ */
+
+// Modules
+var window = require('global/window')
+var _ = require('../utils/lodash')
+var invariant = require('../utils/misc').invariant
+var api = require('../utils/xhr')
+
+// Helpers
+function configureClockSkew (clockSkew) {
+  if (!clockSkew) {
+    return false
+  }
+
+  clockSkew = _.isObject(clockSkew) ? clockSkew : {}
+
+  return _.assign(
+    {
+      endpoint: null,
+      storageKey: '__td_clock_offset',
+      maxAge: 3600000
+    },
+    clockSkew
+  )
+}
+
+function now () {
+  return new Date().getTime()
+}
+
+function readOffset (clockSkew) {
+  var stored
+  try {
+    stored = JSON.parse(window.localStorage.getItem(clockSkew.storageKey))
+  } catch (e) {
+    stored = null
+  }
+
+  return stored && _.isNumber(stored.offset) ? stored : null
+}
+
+function writeOffset (clockSkew, offset) {
+  try {
+    window.localStorage.setItem(clockSkew.storageKey, JSON.stringify({
+      offset: offset,
+      updatedAt: now()
+    }))
+  } catch (e) {
+    // The offset is still used by this page
+  }
+}
+
+/**
+ * Clock#configure
+ *
+ * config (Object) - configuration object
+ * config.clockSkew (Boolean|Object)
+ *    - when truthy the offset between the device clock and the server clock
+ *      is estimated from the Date header of responses, and records get
+ *      td_client_time and a corrected time
+ *    - defaults to false
+ * config.clockSkew.endpoint (String)
+ *    - url returning the server time, as {"time": milliseconds} or in its
+ *      Date header, requested when no recent offset is known
+ *    - defaults to null
+ * config.clockSkew.storageKey (String)
+ *    - localStorage key holding the last offset
+ *    - defaults to __td_clock_offset
+ * config.clockSkew.maxAge (Number)
+ *    - milliseconds a stored offset is reused before asking the endpoint
+ *    - defaults to 3600000 (1 hour)
+ *
+ */
+function configure (config) {
+  config = _.isObject(config) ? config : {}
+
+  this._clockOffset = null
+  this.client.clockSkew = configureClockSkew(config.clockSkew)
+
+  var clockSkew = this.client.clockSkew
+  if (!clockSkew) {
+    return this
+  }
+
+  var stored = readOffset(clockSkew)
+  if (stored) {
+    this._clockOffset = stored.offset
+  }
+
+  var isStale = !stored || now() - stored.updatedAt >= clockSkew.maxAge
+  if (isStale && clockSkew.endpoint && !this.client.development) {
+    var that = this
+    this.syncClock()['catch'](function (err) {
+      that.log('Could not sync the clock', err)
+    })
+  }
+
+  return this
+}
+
+/**
+ * Clock#syncClock
+ *
+ * Requests the server time from config.clockSkew.endpoint
+ * Returns a promise resolving to the offset in milliseconds
+ *
+ */
+function syncClock () {
+  var clockSkew = this.client.clockSkew
+  invariant(
+    clockSkew && clockSkew.endpoint,
+    'Must provide config.clockSkew.endpoint to sync the clock'
+  )
+
+  var that = this
+  var sentAt = now()
+  var date = null
+
+  return api.get(clockSkew.endpoint, {
+    credentials: 'omit',
+    ignoreDefaultHeaders: true,
+    onDate: function (value) {
+      date = value
+    }
+  }).then(function (body) {
+    if (body && _.isNumber(body.time)) {
+      that._updateClockOffset(body.time, sentAt)
+    } else if (!that._readServerDate(date, sentAt)) {
+      throw new Error('Time endpoint did not return the server time')
+    }
+
+    return that._clockOffset
+  })
+}
+
+/**
+ * Clock#_updateClockOffset
+ *
+ * Compares the server time to the middle of the request, or to now when the
+ * time the request was sent is unknown
+ *
+ */
+function _updateClockOffset (serverTime, sentAt) {
+  var clockSkew = this.client.clockSkew
+  if (!clockSkew || !_.isNumber(serverTime) || isNaN(serverTime)) {
+    return
+  }
+
+  var receivedAt = now()
+  var localTime = sentAt ? (sentAt + receivedAt) / 2 : receivedAt
+  this._clockOffset = Math.round(serverTime - localTime)
+  writeOffset(clockSkew, this._clockOffset)
+}
+
+/**
+ * Clock#_readServerDate
+ *
+ * Updates the offset from a Date response header
+ * Returns whether the header could be parsed
+ *
+ */
+function _readServerDate (date, sentAt) {
+  var serverTime = date ? Date.parse(date) : NaN
+  if (isNaN(serverTime)) {
+    return false
+  }
+
+  // The header is truncated to the second
+  this._updateClockOffset(serverTime + 500, sentAt)
+  return true
+}
+
+/**
+ * Clock#_correctTime
+ *
+ * Adds the device time as td_client_time and, once the offset is known, the
+ * corrected time unless the record already has one
+ * Both are in seconds like time
+ *
+ */
+function _correctTime (record) {
+  if (!this.client.clockSkew) {
+    return record
+  }
+
+  var clientTime = now()
+  record.td_client_time = Math.floor(clientTime / 1000)
+
+  if (this._clockOffset !== null && !record.time) {
+    record.time = Math.floor((clientTime + this._clockOffset) / 1000)
+  }
+
+  return record
+}
+
+module.exports = {
+  configure: configure,
+  syncClock: syncClock,
+  _updateClockOffset: _updateClockOffset,
+  _readServerDate: _readServerDate,
+  _correctTime: _correctTime
+}
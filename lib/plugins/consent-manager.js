@@ -2,7 +2,7 @@ import _ from '../utils/lodash'
 import dayjs from 'dayjs'
 import global from 'global'
 import generateUUID from '../utils/generateUUID'
-import { camelCase, isLocalStorageAccessible } from '../utils/misc'
+import { camelCase, deferred, isLocalStorageAccessible } from '../utils/misc'
 
 require('es6-promise').polyfill()
 
@@ -227,7 +227,7 @@ export default {
     }
   },
 
-  saveContexts (success = _.noop, error = _.noop) {
+  saveContexts (success, error) {
     // store the consents to cookie first
     this._savePreferences()
 
@@ -246,7 +246,10 @@ export default {
       })
     })
 
-    Promise.all(promises).then(success).catch(error)
+    const result = deferred(success, error)
+    Promise.all(promises).then(result.resolve).catch(result.reject)
+
+    return result.promise
   },
 
   saveConsents (success, error) {
@@ -281,15 +284,18 @@ export default {
       promises = notUpdatedConsents.map((consent) => this._getPromise(consent))
     }
 
+    const result = deferred(success, error)
     Promise.all(promises).then(() => {
-      success(this._normalizeConsents())
+      result.resolve(this._normalizeConsents())
     }, (e) => {
-      error({ success: false, message: e.message })
+      result.reject({ success: false, message: e.message })
     }).finally(() => {
       if (!_.isEmpty(updatedConsents)) {
         this._resetUpdatedStatus()
       }
     })
+
+    return result.promise
   },
 
   addContext (context = {}) {
@@ -365,6 +371,7 @@ export default {
       augmentedConsent.expiry_date = expiryDate
 
       this.consentManager.preferences[contextId].consents[key] = augmentedConsent
+      this._emit('consent:changed', { contextId, purpose: key, consent: augmentedConsent })
     }
   },
 
@@ -397,6 +404,7 @@ export default {
           { identifier: this.client.track.uuid, status, expiry_date: expiryDate }
         )
         currentConsents[consentPurpose]['_updated'] = true
+        this._emit('consent:changed', { contextId, purpose: consentPurpose, consent: currentConsents[consentPurpose] })
         break
       }
     }
@@ -0,0 +1,331 @@
+/**
+ * Treasure Cross Tab
+ */
+
+// Modules
+var window = require('global/window')
+var _ = require('../utils/lodash')
+var misc = require('../utils/misc')
+var elementUtils = require('../utils/element')
+var createChannel = require('../utils/channel')
+var generateUUID = require('../utils/generateUUID')
+
+// Helpers
+function configureCrossTab (crossTab, database) {
+  if (!crossTab) {
+    return false
+  }
+
+  crossTab = _.isObject(crossTab) ? crossTab : {}
+
+  return _.assign(
+    {
+      channelName: '__td_tabs_' + database,
+      heartbeatInterval: 2000,
+      leaseTimeout: 5000,
+      claimDelay: 100
+    },
+    crossTab
+  )
+}
+
+function getLeaseKey (crossTab) {
+  return crossTab.channelName + '_leader'
+}
+
+function getFetchKey (crossTab, name) {
+  return crossTab.channelName + '_fetch_' + name
+}
+
+// Returns undefined when localStorage is not accessible
+function readItem (key) {
+  try {
+    return JSON.parse(window.localStorage.getItem(key))
+  } catch (e) {
+    return undefined
+  }
+}
+
+function writeItem (key, value) {
+  try {
+    if (value) {
+      window.localStorage.setItem(key, JSON.stringify(value))
+    } else {
+      window.localStorage.removeItem(key)
+    }
+  } catch (e) {}
+}
+
+function isHeldByOtherTab (lease, tabId, now) {
+  return Boolean(lease && lease.tabId !== tabId && lease.expiresAt > now)
+}
+
+// Resolves with the value fetched by another tab, rejects when it failed or
+// did not answer in time
+function waitForTab (channel, name, timeout) {
+  return new Promise(function (resolve, reject) {
+    var timer = setTimeout(function () {
+      unsubscribe()
+      reject(new Error('No answer from the tab fetching ' + name))
+    }, timeout)
+    var unsubscribe = channel.subscribe(function (message) {
+      if (!message || message.type !== 'fetch' || message.name !== name) {
+        return
+      }
+
+      clearTimeout(timer)
+      unsubscribe()
+      if (message.failed) {
+        reject(new Error('The tab fetching ' + name + ' failed'))
+      } else {
+        resolve(message.value)
+      }
+    })
+  })
+}
+
+/**
+ * CrossTab#configure
+ *
+ * config (Object) - configuration object
+ * config.crossTab (Boolean|Object)
+ *    - when truthy the tabs of the site elect a leader which alone flushes
+ *      the offline queue, fetch global ids and segments once for all tabs,
+ *      and share signed/anonymous mode changes
+ *    - defaults to false
+ * config.crossTab.channelName (String)
+ *    - name of the BroadcastChannel, also used as localStorage key
+ *    - defaults to __td_tabs_{database}
+ * config.crossTab.heartbeatInterval (Number)
+ *    - milliseconds between two renewals of the leadership
+ *    - defaults to 2000
+ * config.crossTab.leaseTimeout (Number)
+ *    - milliseconds after which the leadership of a silent tab expires
+ *    - defaults to 5000
+ * config.crossTab.claimDelay (Number)
+ *    - milliseconds between claiming the leadership and checking that no
+ *      other tab claimed it at the same time
+ *    - defaults to 100
+ *
+ */
+function configure (config) {
+  config = _.isObject(config) ? config : {}
+
+  this._tabId = generateUUID()
+  this._isLeader = true
+  this._tabChannel = null
+  this._leaderClaim = null
+  this._closeCrossTab = _.noop
+  this.client.crossTab = configureCrossTab(config.crossTab, this.client.database)
+
+  var crossTab = this.client.crossTab
+  if (!crossTab) {
+    return this
+  }
+
+  var that = this
+  var channel = this._tabChannel = createChannel(crossTab.channelName)
+  channel.subscribe(function (message) {
+    that._onTabMessage(message)
+  })
+
+  // Until elected, the queue is left to the current leader
+  this._isLeader = false
+  this._electLeader()
+  var heartbeat = setInterval(function () {
+    that._electLeader()
+  }, crossTab.heartbeatInterval)
+
+  var removePagehideListener = window.addEventListener
+    ? elementUtils.addEventListener(window, 'pagehide', function () {
+      that._resignLeader()
+    })
+    : _.noop
+
+  this._closeCrossTab = misc.disposable(function () {
+    clearInterval(heartbeat)
+    clearTimeout(that._leaderClaim)
+    removePagehideListener()
+    that._resignLeader()
+    channel.close()
+    that._tabChannel = null
+    that._isLeader = true
+  })
+
+  return this
+}
+
+/**
+ * CrossTab#closeCrossTab
+ *
+ * Stops coordinating with the other tabs and hands the leadership over
+ * The tab then acts alone, as without config.crossTab
+ *
+ */
+function closeCrossTab () {
+  this._closeCrossTab()
+  return this
+}
+
+/**
+ * CrossTab#isLeaderTab
+ *
+ * Tells whether this tab flushes the offline queue
+ * Always true without config.crossTab
+ *
+ */
+function isLeaderTab () {
+  return this._isLeader !== false
+}
+
+/**
+ * CrossTab#_electLeader
+ *
+ * Renews the leadership when it is ours, claims it when it is free or
+ * expired, and steps down when another tab holds it
+ * Tabs claiming at the same time all write the lease, the last write wins:
+ * a claim is only confirmed by reading the lease back after claimDelay
+ * A tab becoming leader flushes the offline queue
+ *
+ */
+function _electLeader () {
+  var crossTab = this.client.crossTab
+  var key = getLeaseKey(crossTab)
+  var now = new Date().getTime()
+  var lease = readItem(key)
+
+  if (lease === undefined) {
+    // Without localStorage every tab acts alone
+    this._isLeader = true
+    return
+  }
+
+  if (isHeldByOtherTab(lease, this._tabId, now)) {
+    this._isLeader = false
+    return
+  }
+
+  writeItem(key, { tabId: this._tabId, expiresAt: now + crossTab.leaseTimeout })
+  if (this._isLeader || this._leaderClaim) {
+    return
+  }
+
+  var that = this
+  this._leaderClaim = setTimeout(function () {
+    that._leaderClaim = null
+    var claimed = readItem(key)
+    if (that._tabChannel && claimed && claimed.tabId === that._tabId) {
+      that._isLeader = true
+      that.flushQueue()
+    }
+  }, crossTab.claimDelay)
+}
+
+/**
+ * CrossTab#_resignLeader
+ *
+ * Frees the leadership so another tab takes it over right away
+ *
+ */
+function _resignLeader () {
+  if (this._isLeader && this._tabChannel) {
+    writeItem(getLeaseKey(this.client.crossTab), null)
+    this._isLeader = false
+    this._broadcast('leader')
+  }
+}
+
+/**
+ * CrossTab#_fetchOnce
+ *
+ * Shares a request between the tabs: while a tab fetches name, the other
+ * tabs wait for its result instead of sending the same request
+ * A tab waits at most leaseTimeout, then fetches by itself
+ * fetch returns a promise of a JSON serializable value
+ *
+ */
+function _fetchOnce (name, fetch) {
+  var crossTab = this.client.crossTab
+  var channel = this._tabChannel
+  if (!crossTab || !channel) {
+    return fetch()
+  }
+
+  var key = getFetchKey(crossTab, name)
+  var now = new Date().getTime()
+  var lock = readItem(key)
+  if (isHeldByOtherTab(lock, this._tabId, now)) {
+    return waitForTab(channel, name, lock.expiresAt - now)['catch'](function () {
+      return fetch()
+    })
+  }
+
+  var that = this
+  writeItem(key, { tabId: this._tabId, expiresAt: now + crossTab.leaseTimeout })
+  return fetch().then(function (value) {
+    writeItem(key, null)
+    that._broadcast('fetch', { name: name, value: value })
+    return value
+  }, function (err) {
+    writeItem(key, null)
+    that._broadcast('fetch', { name: name, failed: true })
+    throw err
+  })
+}
+
+/**
+ * CrossTab#_broadcast
+ *
+ * Sends a message to the other tabs, does nothing without config.crossTab
+ *
+ */
+function _broadcast (type, payload) {
+  if (this._tabChannel) {
+    this._tabChannel.post(_.assign({ type: type }, payload))
+  }
+}
+
+/**
+ * CrossTab#_onTabMessage
+ *
+ * Applies a message from another tab and emits the matching event with
+ * remote set to true
+ *
+ */
+function _onTabMessage (message) {
+  if (!message) {
+    return
+  }
+
+  switch (message.type) {
+    case 'leader':
+      this._electLeader()
+      break
+    case 'globalid':
+      this._emit('globalid:fetched', { globalId: message.globalId, remote: true })
+      break
+    case 'segments':
+      this._emit('segments:fetched', { segments: message.segments, remote: true })
+      break
+    case 'mode':
+      if (message.signed) {
+        // Adopt the client id of the tab that switched to Signed Mode
+        this.resetUUID(this.client.storage, message.clientId)
+        this._emit('mode:signed', { remote: true })
+      } else {
+        this._emit('mode:anonymous', { keepIdentifier: !!message.keepIdentifier, remote: true })
+      }
+      break
+  }
+}
+
+module.exports = {
+  configure: configure,
+  closeCrossTab: closeCrossTab,
+  isLeaderTab: isLeaderTab,
+  _electLeader: _electLeader,
+  _resignLeader: _resignLeader,
+  _fetchOnce: _fetchOnce,
+  _broadcast: _broadcast,
+  _onTabMessage: _onTabMessage
+}
@@ -0,0 +1,135 @@
+var window = require('global/window')
+var elementUtils = require('../utils/element')
+var _ = require('../utils/lodash')
+var disposable = require('../utils/misc').disposable
+var document = window.document
+
+var INPUT_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel']
+
+function now () {
+  return new Date().getTime()
+}
+
+function isDocumentVisible () {
+  return !document || document.visibilityState !== 'hidden'
+}
+
+function isWindowFocused () {
+  return !document || !_.isFunction(document.hasFocus) || document.hasFocus()
+}
+
+function configure () {
+  this._engagementTrackingInstalled = false
+}
+
+function trackEngagement (trackEngagementOptions) {
+  if (this._engagementTrackingInstalled) return
+
+  var instance = this
+  var options = _.assign({
+    tableName: 'engagement',
+    heartbeatInterval: 15000,
+    idleTimeout: 30000
+  }, trackEngagementOptions)
+
+  var pageviewId = instance.getPageviewId()
+  var engagedMs = 0
+  var reportedMs = 0
+  var activeSince = null
+  var focused = isWindowFocused()
+  var idle = false
+  var idleTimer = null
+
+  var removeTrackers = [
+    elementUtils.addEventListener(document, 'visibilitychange', update),
+    elementUtils.addEventListener(window, 'focus', function () {
+      focused = true
+      onInput()
+    }),
+    elementUtils.addEventListener(window, 'blur', function () {
+      focused = false
+      update()
+    }),
+    elementUtils.addEventListener(window, 'pagehide', function () {
+      update()
+      report('final')
+    })
+  ]
+  _.forEach(INPUT_EVENTS, function (eventName) {
+    removeTrackers.push(elementUtils.addEventListener(window, eventName, onInput))
+  })
+
+  var heartbeatTimer = options.heartbeatInterval
+    ? setInterval(function () {
+      update()
+      if (engagedMs > reportedMs) {
+        report('heartbeat')
+      }
+    }, options.heartbeatInterval)
+    : null
+
+  // A new pageview of a single-page application closes the previous one
+  // The time before the first pageview is counted for the first pageview
+  var onPageview = function (payload) {
+    if (pageviewId) {
+      update()
+      report('final')
+      engagedMs = 0
+      reportedMs = 0
+    }
+    pageviewId = payload.pageviewId
+  }
+  instance.on('pageview:tracked', onPageview)
+
+  onInput()
+
+  instance._engagementTrackingInstalled = true
+  return disposable(function () {
+    update()
+    activeSince = null
+    clearTimeout(idleTimer)
+    clearInterval(heartbeatTimer)
+    _.forEach(removeTrackers, function (removeTracker) {
+      removeTracker()
+    })
+    instance.off('pageview:tracked', onPageview)
+    instance._engagementTrackingInstalled = false
+  })
+
+  function onInput () {
+    idle = false
+    clearTimeout(idleTimer)
+    idleTimer = setTimeout(function () {
+      idle = true
+      update()
+    }, options.idleTimeout)
+    update()
+  }
+
+  // Adds the time since the last update when the page was engaged, then
+  // resumes or pauses counting
+  function update () {
+    var time = now()
+    if (activeSince !== null) {
+      engagedMs += time - activeSince
+    }
+
+    activeSince = isDocumentVisible() && focused && !idle ? time : null
+  }
+
+  function report (type) {
+    if (!engagedMs) return
+
+    reportedMs = engagedMs
+    instance.trackEvent(options.tableName, {
+      td_engagement_type: type,
+      td_engaged_ms: engagedMs,
+      td_pageview_id: pageviewId
+    })
+  }
+}
+
+module.exports = {
+  configure: configure,
+  trackEngagement: trackEngagement
+}
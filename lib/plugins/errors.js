@@ -0,0 +1,174 @@
+var window = require('global/window')
+var elementUtils = require('../utils/element')
+var _ = require('../utils/lodash')
+var misc = require('../utils/misc')
+var disposable = misc.disposable
+var document = window.document
+
+var MAX_MESSAGE_LENGTH = 1024
+var MAX_STACK_LENGTH = 4096
+
+// First frame of a stack with a location, in Chrome, Firefox and Safari:
+// "at fn (https://a.com/app.js:10:5)" or "fn@https://a.com/app.js:10:5"
+var STACK_FRAME = /((?:https?|file|blob):[^\s()@]+):(\d+):(\d+)/
+
+var PATTERN_OPTIONS = ['allowUrls', 'denyUrls', 'allowMessages', 'denyMessages']
+
+function getCurrentUrl () {
+  return (document.location && document.location.href) || ''
+}
+
+function truncate (value, length) {
+  return value && value.length > length ? value.substr(0, length) : value
+}
+
+function stringify (value) {
+  if (_.isString(value)) {
+    return value
+  }
+  try {
+    return JSON.stringify(value)
+  } catch (e) {
+    return String(value)
+  }
+}
+
+function isPattern (pattern) {
+  return _.isString(pattern) || Object.prototype.toString.call(pattern) === '[object RegExp]'
+}
+
+// Strings match when they are contained in the value
+// String#search ignores the lastIndex of patterns with the g or y flag
+function matchesAny (patterns, value) {
+  for (var i = 0; i < patterns.length; i++) {
+    var pattern = patterns[i]
+    if (_.isString(pattern) ? value.indexOf(pattern) !== -1 : value.search(pattern) !== -1) {
+      return true
+    }
+  }
+  return false
+}
+
+function isAllowed (allowPatterns, denyPatterns, value) {
+  return (!allowPatterns.length || matchesAny(allowPatterns, value)) &&
+    !matchesAny(denyPatterns, value)
+}
+
+// Returns {kind, type, message, stack, source, line, column} of an error
+// event or unhandledrejection event
+function normalizeError (event) {
+  var isRejection = event.type === 'unhandledrejection'
+  var error = isRejection ? event.reason : event.error
+  var isError = _.isObject(error) && _.isString(error.message)
+  var stack = isError && _.isString(error.stack) ? error.stack : ''
+  var frame = STACK_FRAME.exec(stack)
+
+  var message = isRejection
+    ? (isError ? error.message : stringify(error))
+    : event.message || (isError && error.message) || ''
+
+  return {
+    kind: isRejection ? 'unhandledrejection' : 'error',
+    type: (isError && error.name) || (isRejection ? 'UnhandledRejection' : 'Error'),
+    message: truncate(String(message), MAX_MESSAGE_LENGTH),
+    stack: truncate(stack, MAX_STACK_LENGTH) || null,
+    source: event.filename || (frame && frame[1]) || null,
+    line: event.lineno || (frame && Number(frame[2])) || null,
+    column: event.colno || (frame && Number(frame[3])) || null
+  }
+}
+
+function configure () {
+  this._errorTrackingInstalled = false
+}
+
+function trackErrors (trackErrorsOptions) {
+  if (this._errorTrackingInstalled) return
+
+  var instance = this
+  var options = _.assign({
+    tableName: 'errors',
+    allowUrls: [],
+    denyUrls: [],
+    allowMessages: [],
+    denyMessages: [],
+    maxErrorsPerPage: 25,
+    rateLimit: 10,
+    rateLimitInterval: 60000
+  }, trackErrorsOptions)
+
+  _.forEach(PATTERN_OPTIONS, function (name) {
+    misc.invariant(
+      _.isArray(options[name]) && _.filter(options[name], isPattern).length === options[name].length,
+      name + ' must be an array of strings or regular expressions'
+    )
+  })
+
+  var pageUrl = getCurrentUrl()
+  var seen = {}
+  var pageErrorCount = 0
+  var sentAt = []
+
+  var removeTrackers = [
+    elementUtils.addEventListener(window, 'error', onError),
+    elementUtils.addEventListener(window, 'unhandledrejection', onError)
+  ]
+
+  instance._errorTrackingInstalled = true
+  return disposable(function () {
+    _.forEach(removeTrackers, function (removeTracker) {
+      removeTracker()
+    })
+    instance._errorTrackingInstalled = false
+  })
+
+  function onError (event) {
+    // Failed loads of images and scripts are error events without a message
+    if (!event || (event.type === 'error' && !event.message && !event.error)) return
+
+    var error = normalizeError(event)
+    if (
+      !isAllowed(options.allowUrls, options.denyUrls, error.source || '') ||
+      !isAllowed(options.allowMessages, options.denyMessages, error.message)
+    ) {
+      return
+    }
+
+    // Errors are sent once per page, single-page applications included
+    var url = getCurrentUrl()
+    if (url !== pageUrl) {
+      pageUrl = url
+      seen = {}
+      pageErrorCount = 0
+    }
+
+    var key = [error.kind, error.message, error.source, error.line, error.column].join('|')
+    if (seen[key] || pageErrorCount >= options.maxErrorsPerPage) return
+
+    var now = new Date().getTime()
+    sentAt = _.filter(sentAt, function (time) {
+      return now - time < options.rateLimitInterval
+    })
+    if (sentAt.length >= options.rateLimit) return
+
+    seen[key] = true
+    pageErrorCount += 1
+    sentAt.push(now)
+
+    instance.trackEvent(options.tableName, {
+      td_error_kind: error.kind,
+      td_error_type: error.type,
+      td_error_message: error.message,
+      td_error_stack: error.stack,
+      td_error_source: error.source,
+      td_error_line: error.line,
+      td_error_column: error.column,
+      td_pageview_id: instance.getPageviewId()
+    })
+  }
+}
+
+module.exports = {
+  configure: configure,
+  trackErrors: trackErrors
+}
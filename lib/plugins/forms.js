@@ -0,0 +1,268 @@
+var window = require('global/window')
+var elementUtils = require('../utils/element')
+var _ = require('../utils/lodash')
+var disposable = require('../utils/misc').disposable
+
+var NON_FIELD_TYPES = ['button', 'hidden', 'image', 'reset', 'submit']
+var CHOICE_TYPES = ['checkbox', 'radio']
+var TEXT_FIELD_EXCLUDED_TYPES = CHOICE_TYPES.concat('select')
+
+function defaultExtendFormData (event, data) {
+  return data
+}
+
+function now () {
+  return new Date().getTime()
+}
+
+// Returns the element when it is a field of a form, never a password field
+function findField (el) {
+  if (!el || !el.tagName || !el.form) {
+    return null
+  }
+
+  var tag = el.tagName.toLowerCase()
+  if (tag === 'input') {
+    var type = getFieldType(el)
+    if (type === 'password' || _.indexOf(NON_FIELD_TYPES, type) !== -1) {
+      return null
+    }
+  } else if (tag !== 'select' && tag !== 'textarea') {
+    return null
+  }
+
+  return el
+}
+
+function getFieldType (field) {
+  var tag = field.tagName.toLowerCase()
+  return tag === 'input'
+    ? (field.getAttribute('type') || 'text').toLowerCase()
+    : tag
+}
+
+// Attributes are read as form.name is shadowed by a field named "name"
+function getFormName (form) {
+  return form.getAttribute('id') ||
+    form.getAttribute('name') ||
+    elementUtils.htmlTreeAsString(form)
+}
+
+function getFieldName (field) {
+  return field.getAttribute('name') || field.getAttribute('id') || getFieldType(field)
+}
+
+function getFieldValue (field) {
+  return _.indexOf(CHOICE_TYPES, getFieldType(field)) !== -1 && !field.checked
+    ? ''
+    : field.value
+}
+
+function findState (states, key, el) {
+  for (var i = 0; i < states.length; i++) {
+    if (states[i][key] === el) {
+      return states[i]
+    }
+  }
+  return null
+}
+
+function isAttached (el) {
+  return window.document.documentElement.contains(el)
+}
+
+function configure () {
+  this._formTrackingInstalled = false
+}
+
+function trackForms (trackFormsOptions) {
+  if (this._formTrackingInstalled) return
+
+  var instance = this
+  var options = _.assign({
+    element: window.document,
+    captureValues: [],
+    extendFormData: defaultExtendFormData,
+    ignoreAttribute: 'td-ignore',
+    tableName: 'forms'
+  }, trackFormsOptions)
+
+  var treeHasIgnoreAttribute = elementUtils
+    .createTreeHasIgnoreAttribute(options.ignoreAttribute)
+
+  var forms = []
+  var fields = []
+
+  var removeTrackers = [
+    elementUtils.addEventListener(options.element, 'focusin', onFocus),
+    elementUtils.addEventListener(options.element, 'focusout', onBlur),
+    elementUtils.addEventListener(options.element, 'input', onInput),
+    elementUtils.addEventListener(options.element, 'change', onChange),
+    elementUtils.addEventListener(options.element, 'submit', onSubmit),
+    elementUtils.addEventListener(options.element, 'reset', onReset),
+    elementUtils.addEventListener(window, 'pagehide', onPageHide)
+  ]
+
+  instance._formTrackingInstalled = true
+  return disposable(function () {
+    _.forEach(removeTrackers, function (removeTracker) {
+      removeTracker()
+    })
+    instance._formTrackingInstalled = false
+  })
+
+  function getTrackedField (e) {
+    var field = findField(elementUtils.getEventTarget(e))
+    return field && !treeHasIgnoreAttribute(field) ? field : null
+  }
+
+  function onFocus (e) {
+    var field = getTrackedField(e)
+    if (!field) return
+
+    // A form filled again after a submit starts over
+    var form = findState(forms, 'form', field.form)
+    if (form && form.submitted) {
+      removeForm(form)
+      form = null
+    }
+    if (!form) {
+      pruneDetached()
+      form = { form: field.form, startedAt: now(), submitted: false, fieldCount: 0, lastField: null }
+      forms.push(form)
+      track(e, 'start', form, {})
+    }
+
+    var state = findState(fields, 'field', field)
+    if (!state) {
+      state = { field: field, form: form, focusedAt: null, changed: false, changes: 0, corrected: false, length: null }
+      fields.push(state)
+      form.fieldCount += 1
+    }
+    state.focusedAt = now()
+    state.changed = false
+    form.lastField = getFieldName(field)
+  }
+
+  function onInput (e) {
+    var field = getTrackedField(e)
+    var state = field && findState(fields, 'field', field)
+    if (!state || _.indexOf(TEXT_FIELD_EXCLUDED_TYPES, getFieldType(field)) !== -1) return
+
+    // Only the length is kept, a shorter value means the user deleted text
+    var length = String(field.value || '').length
+    if (state.length !== null && length < state.length) {
+      state.corrected = true
+    }
+    state.length = length
+  }
+
+  function onChange (e) {
+    // Changes of fields never focused, like autofill, are not interactions
+    var field = getTrackedField(e)
+    var state = field && findState(fields, 'field', field)
+    if (!state) return
+
+    state.changed = true
+    state.changes += 1
+    if (state.changes > 1) {
+      state.corrected = true
+    }
+  }
+
+  function onBlur (e) {
+    var field = getTrackedField(e)
+    var state = field && findState(fields, 'field', field)
+    var form = field && findState(forms, 'form', field.form)
+    if (!state || !form || state.focusedAt === null) return
+
+    var fieldName = getFieldName(field)
+    var data = {
+      td_form_field: fieldName,
+      td_form_field_type: getFieldType(field),
+      td_form_field_time: now() - state.focusedAt,
+      td_form_field_changed: state.changed,
+      td_form_field_corrected: state.corrected
+    }
+    if (state.changed && _.indexOf(options.captureValues, fieldName) !== -1) {
+      data.td_form_field_value = getFieldValue(field)
+    }
+
+    state.focusedAt = null
+    track(e, 'field', form, data)
+  }
+
+  function onSubmit (e) {
+    var target = elementUtils.getEventTarget(e)
+    if (!target || !target.tagName || treeHasIgnoreAttribute(target)) return
+
+    var form = findState(forms, 'form', target)
+    if (!form) {
+      form = { form: target, startedAt: now(), submitted: false, fieldCount: 0, lastField: null }
+      forms.push(form)
+    }
+    form.submitted = true
+    track(e, 'submit', form, {
+      td_form_duration: now() - form.startedAt,
+      td_form_field_count: form.fieldCount
+    })
+  }
+
+  // A reset form starts over on the next focus, without being abandoned
+  function onReset (e) {
+    var form = findState(forms, 'form', elementUtils.getEventTarget(e))
+    if (form) {
+      removeForm(form)
+    }
+  }
+
+  function removeForm (form) {
+    forms = _.filter(forms, function (state) {
+      return state !== form
+    })
+    fields = _.filter(fields, function (state) {
+      return state.form !== form
+    })
+  }
+
+  // Forms and fields removed from the page, by single-page applications,
+  // are forgotten
+  function pruneDetached () {
+    forms = _.filter(forms, function (state) {
+      return isAttached(state.form)
+    })
+    fields = _.filter(fields, function (state) {
+      return isAttached(state.field) && _.indexOf(forms, state.form) !== -1
+    })
+  }
+
+  function onPageHide (e) {
+    pruneDetached()
+    _.forEach(forms, function (form) {
+      if (form.submitted) return
+
+      track(e, 'abandon', form, {
+        td_form_duration: now() - form.startedAt,
+        td_form_field_count: form.fieldCount,
+        td_form_last_field: form.lastField
+      })
+    })
+    forms = []
+    fields = []
+  }
+
+  function track (e, type, form, values) {
+    var data = options.extendFormData(e, _.assign({
+      td_form_event: type,
+      td_form: getFormName(form.form)
+    }, values))
+    if (data) {
+      instance.trackEvent(options.tableName, data)
+    }
+  }
+}
+
+module.exports = {
+  configure: configure,
+  trackForms: trackForms
+}
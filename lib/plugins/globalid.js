@@ -3,7 +3,7 @@
  */
 
 // Modules
-var noop = require('../utils/lodash').noop
+var misc = require('../utils/misc')
 var cookie = require('../vendor/js-cookies')
 var api = require('../utils/xhr')
 
@@ -30,17 +30,23 @@ function configure () {
 
 function fetchGlobalID (success, error, forceFetch, options) {
   options = options || {}
-  success = success || noop
-  error = error || noop
+  var deferred = misc.deferred(success, error)
   if (!this.inSignedMode()) {
-    return error('not in signed in mode')
+    deferred.reject('not in signed in mode')
+    return deferred.promise
+  }
+  var that = this
+  var onFetched = function (globalId) {
+    that._emit('globalid:fetched', { globalId: globalId })
+    deferred.resolve(globalId)
   }
   var cookieName = this.client.globalIdCookie
   var cachedGlobalId = cookie.getItem(this.client.globalIdCookie)
   if (cachedGlobalId && !forceFetch) {
-    return setTimeout(function () {
-      success(cachedGlobalId)
+    setTimeout(function () {
+      onFetched(cachedGlobalId)
     }, 0)
+    return deferred.promise
   }
 
   if (!options.sameSite) {
@@ -49,15 +55,21 @@ function fetchGlobalID (success, error, forceFetch, options) {
 
   var url = 'https://' + this.client.host + '/js/v3/enable_global_id'
 
-  api.get(url)
-    .then(function (res) {
+  var retry = this.client.retry
+  this._fetchOnce('globalid', function () {
+    return api.get(url, { retry: retry }).then(function (res) {
       var cachedId = cacheSuccess(res, cookieName, options)
 
-      success(cachedId)
+      that._broadcast('globalid', { globalId: cachedId })
+      return cachedId
     })
+  })
+    .then(onFetched)
     .catch(function (err) {
-      error(err)
+      deferred.reject(err)
     })
+
+  return deferred.promise
 }
 
 function removeCachedGlobalID () {
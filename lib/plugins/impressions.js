@@ -0,0 +1,212 @@
+var window = require('global/window')
+var elementUtils = require('../utils/element')
+var _ = require('../utils/lodash')
+var disposable = require('../utils/misc').disposable
+var document = window.document
+
+var DATA_PREFIX = 'data-td-'
+
+function defaultExtendImpressionData (element, data) {
+  return data
+}
+
+function isDocumentVisible () {
+  return !document || document.visibilityState !== 'hidden'
+}
+
+function matchesSelector (el, selector) {
+  var matches = el.matches || el.msMatchesSelector || el.webkitMatchesSelector
+  return Boolean(matches && matches.call(el, selector))
+}
+
+// Returns the elements matching selector in root, root included
+function findElements (root, selector) {
+  var elements = root.nodeType === 1 && matchesSelector(root, selector) ? [root] : []
+  var found = root.querySelectorAll ? root.querySelectorAll(selector) : []
+  for (var i = 0; i < found.length; i++) {
+    elements.push(found[i])
+  }
+  return elements
+}
+
+// data-td-product-id="42" becomes td_product_id: '42'
+function getDataAttributes (el) {
+  var data = {}
+  _.forEach(el.attributes, function (attribute) {
+    if (attribute.name.indexOf(DATA_PREFIX) === 0) {
+      data[attribute.name.substr(5).replace(/-/g, '_')] = attribute.value
+    }
+  })
+  return data
+}
+
+function configure () {
+  this._impressionTrackingInstalled = false
+}
+
+function trackImpressions (trackImpressionsOptions) {
+  if (this._impressionTrackingInstalled) return
+
+  var instance = this
+  var options = _.assign({
+    element: document,
+    selector: '[data-td-impression]',
+    threshold: 0.5,
+    duration: 1000,
+    extendImpressionData: defaultExtendImpressionData,
+    ignoreAttribute: 'td-ignore',
+    tableName: 'impressions'
+  }, trackImpressionsOptions)
+
+  // Without IntersectionObserver nothing can be told visible
+  if (!window.IntersectionObserver) {
+    return disposable(_.noop)
+  }
+
+  var treeHasIgnoreAttribute = elementUtils
+    .createTreeHasIgnoreAttribute(options.ignoreAttribute)
+
+  // Every browser with IntersectionObserver has WeakMap
+  // states keeps the elements known in the pageview, seen ones included,
+  // pending only the ones still waiting to be seen
+  var states = new window.WeakMap()
+  var pending = {}
+  var nextStateId = 0
+  var intersectionObserver = new window.IntersectionObserver(onIntersection, {
+    threshold: [options.threshold]
+  })
+  var mutationObserver = window.MutationObserver
+    ? new window.MutationObserver(onMutation)
+    : null
+
+  observeElements(options.element)
+  if (mutationObserver) {
+    mutationObserver.observe(options.element, { childList: true, subtree: true })
+  }
+  var removeVisibilityTracker = elementUtils
+    .addEventListener(document, 'visibilitychange', onVisibilityChange)
+
+  // Elements are seen once per pageview, single-page applications included
+  // Observing them again reports the ones already visible
+  var onPageview = function () {
+    _.forIn(pending, forget)
+    states = new window.WeakMap()
+    observeElements(options.element)
+  }
+  instance.on('pageview:tracked', onPageview)
+
+  instance._impressionTrackingInstalled = true
+  return disposable(function () {
+    _.forIn(pending, function (state) {
+      clearTimeout(state.timer)
+    })
+    pending = {}
+    intersectionObserver.disconnect()
+    if (mutationObserver) {
+      mutationObserver.disconnect()
+    }
+    removeVisibilityTracker()
+    instance.off('pageview:tracked', onPageview)
+    instance._impressionTrackingInstalled = false
+  })
+
+  function observeElements (root) {
+    _.forEach(findElements(root, options.selector), function (element) {
+      if (states.has(element) || treeHasIgnoreAttribute(element)) return
+
+      var state = { id: nextStateId++, element: element, visible: false, seen: false, timer: null }
+      states.set(element, state)
+      pending[state.id] = state
+      intersectionObserver.observe(element)
+    })
+  }
+
+  function forget (state) {
+    clearTimeout(state.timer)
+    state.timer = null
+    intersectionObserver.unobserve(state.element)
+    delete pending[state.id]
+  }
+
+  // Removed elements not seen yet are dropped, to be observed again if they
+  // come back, seen ones are remembered until the next pageview
+  function unobserveElements (root) {
+    _.forEach(findElements(root, options.selector), function (element) {
+      var state = states.get(element)
+      if (state && !state.seen) {
+        forget(state)
+        states['delete'](element)
+      }
+    })
+  }
+
+  // Records are in order, an element moved is removed then added
+  function onMutation (mutations) {
+    _.forEach(mutations, function (mutation) {
+      _.forEach(mutation.removedNodes, function (node) {
+        if (node.nodeType === 1) {
+          unobserveElements(node)
+        }
+      })
+      _.forEach(mutation.addedNodes, function (node) {
+        if (node.nodeType === 1) {
+          observeElements(node)
+        }
+      })
+    })
+  }
+
+  function onIntersection (entries) {
+    _.forEach(entries, function (entry) {
+      var state = states.get(entry.target)
+      if (!state || state.seen) return
+
+      state.visible = entry.isIntersecting && entry.intersectionRatio >= options.threshold
+      if (state.visible) {
+        startTimer(state)
+      } else {
+        clearTimeout(state.timer)
+        state.timer = null
+      }
+    })
+  }
+
+  // Time spent in a hidden tab does not count
+  function onVisibilityChange () {
+    _.forIn(pending, function (state) {
+      if (!isDocumentVisible()) {
+        clearTimeout(state.timer)
+        state.timer = null
+      } else if (state.visible && !state.seen) {
+        startTimer(state)
+      }
+    })
+  }
+
+  function startTimer (state) {
+    if (state.timer || !isDocumentVisible()) return
+
+    state.timer = setTimeout(function () {
+      state.timer = null
+      state.seen = true
+      forget(state)
+      track(state.element)
+    }, options.duration)
+  }
+
+  function track (element) {
+    var data = options.extendImpressionData(element, _.assign(
+      elementUtils.getElementData(element),
+      getDataAttributes(element),
+      { td_pageview_id: instance.getPageviewId() }
+    ))
+    if (data) {
+      instance.trackEvent(options.tableName, data)
+    }
+  }
+}
+
+module.exports = {
+  configure: configure,
+  trackImpressions: trackImpressions
+}
@@ -0,0 +1,104 @@
+var window = require('global/window')
+var elementUtils = require('../utils/element')
+var _ = require('../utils/lodash')
+var disposable = require('../utils/misc').disposable
+var document = window.document
+
+function getCurrentUrl (includeHash) {
+  var href = (document.location && document.location.href) || ''
+  return includeHash ? href : href.split('#')[0]
+}
+
+// Calls callback after every call of history[name]
+// Returns a function restoring the original method, unless another script
+// wrapped it in the meantime
+function wrapHistoryMethod (history, name, callback) {
+  var original = history && history[name]
+  if (!_.isFunction(original)) {
+    return _.noop
+  }
+
+  var wrapper = function () {
+    var result = original.apply(this, arguments)
+    callback()
+    return result
+  }
+  history[name] = wrapper
+
+  return function restore () {
+    if (history[name] === wrapper) {
+      history[name] = original
+    }
+  }
+}
+
+function configure () {
+  this._pageviewTrackingInstalled = false
+}
+
+function trackPageviewsAutomatically (trackPageviewsOptions) {
+  if (this._pageviewTrackingInstalled) return
+
+  var instance = this
+  var options = _.assign({
+    tableName: this.client.track.pageviews,
+    hashChange: false,
+    trackInitialPageview: false,
+    debounce: 100
+  }, trackPageviewsOptions)
+
+  var lastUrl = getCurrentUrl(options.hashChange)
+  var timer = null
+  var disposed = false
+
+  var restorePushState = wrapHistoryMethod(window.history, 'pushState', scheduleCheck)
+  var restoreReplaceState = wrapHistoryMethod(window.history, 'replaceState', scheduleCheck)
+  var removePopStateTracker = elementUtils
+    .addEventListener(window, 'popstate', scheduleCheck)
+  var removeHashChangeTracker = options.hashChange
+    ? elementUtils.addEventListener(window, 'hashchange', scheduleCheck)
+    : _.noop
+
+  if (options.trackInitialPageview) {
+    trackPageview(lastUrl)
+  }
+
+  instance._pageviewTrackingInstalled = true
+  return disposable(function () {
+    disposed = true
+    clearTimeout(timer)
+    restorePushState()
+    restoreReplaceState()
+    removePopStateTracker()
+    removeHashChangeTracker()
+    instance._pageviewTrackingInstalled = false
+  })
+
+  // Routers often push then replace the url, and update the title afterwards
+  function scheduleCheck () {
+    if (disposed) return
+
+    clearTimeout(timer)
+    timer = setTimeout(checkUrl, options.debounce)
+  }
+
+  function checkUrl () {
+    var url = getCurrentUrl(options.hashChange)
+    if (disposed || url === lastUrl) return
+
+    // The previous in-app url replaces document.referrer from now on
+    instance.client.track.virtualReferrer = lastUrl
+    lastUrl = url
+    trackPageview(url)
+  }
+
+  function trackPageview (url) {
+    var record = options.hashChange ? { td_url: url } : {}
+    instance.trackEvent(options.tableName, instance._startPageview(record))
+  }
+}
+
+module.exports = {
+  configure: configure,
+  trackPageviewsAutomatically: trackPageviewsAutomatically
+}
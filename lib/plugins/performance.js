@@ -0,0 +1,224 @@
+var window = require('global/window')
+var elementUtils = require('../utils/element')
+var _ = require('../utils/lodash')
+var disposable = require('../utils/misc').disposable
+var document = window.document
+
+// Layout shifts are grouped in windows of shifts less than 1s apart and
+// lasting up to 5s, CLS is the largest window
+var CLS_WINDOW_GAP = 1000
+var CLS_WINDOW_DURATION = 5000
+
+// Interactions kept to compute INP, as it ignores the highest interaction
+// for every 50 interactions
+var INP_CANDIDATES = 10
+
+// Returns a function disconnecting the observer, observers of types the
+// browser does not support do nothing
+function observe (type, callback, options) {
+  var PerformanceObserver = window.PerformanceObserver
+  if (!PerformanceObserver) {
+    return _.noop
+  }
+
+  try {
+    var observer = new PerformanceObserver(function (list) {
+      _.forEach(list.getEntries(), callback)
+    })
+    observer.observe(_.assign({ type: type, buffered: true }, options))
+    return function () {
+      observer.disconnect()
+    }
+  } catch (e) {
+    return _.noop
+  }
+}
+
+function getNavigationEntry () {
+  var performance = window.performance
+  var entries = performance && _.isFunction(performance.getEntriesByType)
+    ? performance.getEntriesByType('navigation')
+    : []
+  return entries[0] || null
+}
+
+function round (value) {
+  return Math.round(value)
+}
+
+function difference (end, start) {
+  return end > 0 && start > 0 ? round(end - start) : null
+}
+
+function getNavigationTiming () {
+  var entry = getNavigationEntry()
+  if (!entry) {
+    return {}
+  }
+
+  return {
+    td_perf_ttfb: round(entry.responseStart),
+    td_perf_dns: difference(entry.domainLookupEnd, entry.domainLookupStart),
+    td_perf_tcp: difference(entry.connectEnd, entry.connectStart),
+    td_perf_tls: difference(entry.connectEnd, entry.secureConnectionStart),
+    td_perf_dom_interactive: entry.domInteractive ? round(entry.domInteractive) : null,
+    td_perf_load: entry.loadEventEnd ? round(entry.loadEventEnd) : null
+  }
+}
+
+function configure () {
+  this._performanceTrackingInstalled = false
+}
+
+function trackPerformance (trackPerformanceOptions) {
+  if (this._performanceTrackingInstalled) return
+
+  var instance = this
+  var options = _.assign({
+    tableName: 'performance',
+    slowResourceThreshold: 0,
+    maxSlowResources: 10
+  }, trackPerformanceOptions)
+
+  var pageviewId = instance.getPageviewId()
+  var isFirstPageview = true
+  var sent = false
+
+  var lcp = null
+  var fcp = null
+  var cls
+  var clsWindow
+  var interactions
+  var interactionCount
+  var slowResources
+  resetPageMetrics()
+
+  var removeTrackers = [
+    observe('largest-contentful-paint', function (entry) {
+      lcp = round(entry.startTime)
+    }),
+    observe('paint', function (entry) {
+      if (entry.name === 'first-contentful-paint') {
+        fcp = round(entry.startTime)
+      }
+    }),
+    observe('layout-shift', onLayoutShift),
+    observe('event', onInteraction, { durationThreshold: 40 }),
+    observe('first-input', onInteraction),
+    options.slowResourceThreshold
+      ? observe('resource', onResource)
+      : _.noop,
+    elementUtils.addEventListener(document, 'visibilitychange', function () {
+      if (document.visibilityState === 'hidden') {
+        send()
+      }
+    }),
+    elementUtils.addEventListener(window, 'pagehide', send)
+  ]
+
+  // A new pageview of a single-page application closes the previous one
+  // Loading metrics only belong to the first pageview
+  var onPageview = function (payload) {
+    if (pageviewId) {
+      send()
+      isFirstPageview = false
+      resetPageMetrics()
+    }
+    pageviewId = payload.pageviewId
+    sent = false
+  }
+  instance.on('pageview:tracked', onPageview)
+
+  instance._performanceTrackingInstalled = true
+  return disposable(function () {
+    _.forEach(removeTrackers, function (removeTracker) {
+      removeTracker()
+    })
+    instance.off('pageview:tracked', onPageview)
+    instance._performanceTrackingInstalled = false
+  })
+
+  function resetPageMetrics () {
+    cls = 0
+    clsWindow = { value: 0, start: 0, end: 0 }
+    interactions = {}
+    interactionCount = 0
+    slowResources = []
+  }
+
+  function onLayoutShift (entry) {
+    if (entry.hadRecentInput) return
+
+    if (
+      entry.startTime - clsWindow.end < CLS_WINDOW_GAP &&
+      entry.startTime - clsWindow.start < CLS_WINDOW_DURATION
+    ) {
+      clsWindow.value += entry.value
+      clsWindow.end = entry.startTime
+    } else {
+      clsWindow = { value: entry.value, start: entry.startTime, end: entry.startTime }
+    }
+    cls = Math.max(cls, clsWindow.value)
+  }
+
+  function onInteraction (entry) {
+    var id = entry.interactionId
+    if (!id) return
+
+    if (!interactions[id]) {
+      interactionCount += 1
+    }
+    interactions[id] = Math.max(interactions[id] || 0, entry.duration)
+  }
+
+  function getInp () {
+    var durations = _.map(_.keys(interactions), function (id) {
+      return interactions[id]
+    }).sort(function (a, b) {
+      return b - a
+    }).slice(0, INP_CANDIDATES)
+
+    if (!durations.length) {
+      return null
+    }
+    var index = Math.min(durations.length - 1, Math.floor(interactionCount / 50))
+    return round(durations[index])
+  }
+
+  function onResource (entry) {
+    if (entry.duration < options.slowResourceThreshold) return
+
+    slowResources.push({
+      name: entry.name,
+      initiator_type: entry.initiatorType,
+      duration: round(entry.duration)
+    })
+    slowResources.sort(function (a, b) {
+      return b.duration - a.duration
+    })
+    slowResources = slowResources.slice(0, options.maxSlowResources)
+  }
+
+  function send () {
+    if (sent) return
+    sent = true
+
+    var record = _.assign(isFirstPageview ? getNavigationTiming() : {}, {
+      td_perf_lcp: isFirstPageview ? lcp : null,
+      td_perf_fcp: isFirstPageview ? fcp : null,
+      td_perf_cls: Math.round(cls * 10000) / 10000,
+      td_perf_inp: getInp(),
+      td_pageview_id: pageviewId
+    })
+    if (options.slowResourceThreshold) {
+      record.td_perf_slow_resources = JSON.stringify(slowResources)
+    }
+
+    instance.trackEvent(options.tableName, record)
+  }
+}
+
+module.exports = {
+  configure: configure,
+  trackPerformance: trackPerformance
+}
@@ -1,8 +1,8 @@
-var invariant = require('../utils/misc').invariant
+var misc = require('../utils/misc')
 var _ = require('../utils/lodash')
 var api = require('../utils/xhr')
 
-var noop = _.noop
+var invariant = misc.invariant
 /**
  * Personalization#configure
  *
@@ -29,9 +29,6 @@ function fetchUserSegments (tokenOrConfig, successCallback, errorCallback) {
   var audienceToken = isConfigObject ? tokenOrConfig.audienceToken : tokenOrConfig
   var keys = (isConfigObject && tokenOrConfig.keys) || {}
 
-  successCallback = successCallback || noop
-  errorCallback = errorCallback || noop
-
   invariant(
     typeof audienceToken === 'string' || _.isArray(audienceToken),
     'audienceToken must be a string or array; received "' + audienceToken.toString() + '"'
@@ -53,9 +50,22 @@ function fetchUserSegments (tokenOrConfig, successCallback, errorCallback) {
 
   var url = 'https://' + this.client.cdpHost + '/cdp/lookup/collect/segments?version=2&token=' + token + (keyString && ('&' + keyString))
 
-  api.get(url)
-    .then(successCallback)
-    .catch(errorCallback)
+  var that = this
+  var retry = this.client.retry
+  var deferred = misc.deferred(successCallback, errorCallback)
+  this._fetchOnce('segments_' + url, function () {
+    return api.get(url, { retry: retry }).then(function (segments) {
+      that._broadcast('segments', { segments: segments })
+      return segments
+    })
+  })
+    .then(function (segments) {
+      that._emit('segments:fetched', { segments: segments })
+      deferred.resolve(segments)
+    })
+    .catch(deferred.reject)
+
+  return deferred.promise
 }
 
 module.exports = {
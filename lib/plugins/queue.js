@@ -0,0 +1,237 @@
+/**
+ * Treasure Offline Queue
+ */
+
+// Modules
+var window = require('global/window')
+var _ = require('../utils/lodash')
+var misc = require('../utils/misc')
+var generateUUID = require('../utils/generateUUID')
+var api = require('../utils/xhr')
+
+// Helpers
+function configureQueue (queue, database) {
+  if (!queue) {
+    return false
+  }
+
+  queue = _.isObject(queue) ? queue : {}
+
+  return _.assign(
+    {
+      storageKey: '__td_queue_' + database,
+      maxSize: 100,
+      maxAge: 604800000,
+      leaseTimeout: 60000
+    },
+    queue
+  )
+}
+
+function readEntries (queue) {
+  var entries
+  try {
+    entries = JSON.parse(window.localStorage.getItem(queue.storageKey))
+  } catch (e) {
+    entries = null
+  }
+
+  return _.isArray(entries) ? entries : []
+}
+
+function writeEntries (queue, entries) {
+  try {
+    if (entries.length) {
+      window.localStorage.setItem(queue.storageKey, JSON.stringify(entries))
+    } else {
+      window.localStorage.removeItem(queue.storageKey)
+    }
+  } catch (e) {
+    // Storage is full or blocked, records are still sent but not persisted
+  }
+}
+
+function pruneEntries (queue, entries) {
+  var now = new Date().getTime()
+  var fresh = []
+  _.forEach(entries, function (entry) {
+    if (entry && entry.request && now - entry.timestamp < queue.maxAge) {
+      fresh.push(entry)
+    }
+  })
+
+  return fresh.slice(Math.max(fresh.length - queue.maxSize, 0))
+}
+
+// An entry is leased while a tab is sending it, the lease of a tab closed
+// in the middle of a request expires after leaseTimeout
+function isLeased (queue, entry, now) {
+  return Boolean(entry.owner && now - entry.leasedAt < queue.leaseTimeout)
+}
+
+// Applies update to the stored entries, storage is read again right before
+// writing as every tab of the site shares the queue
+function updateEntries (queue, update) {
+  var entries = update(pruneEntries(queue, readEntries(queue)))
+  writeEntries(queue, entries)
+  return entries
+}
+
+/**
+ * Queue#configure
+ *
+ * config (Object) - configuration object
+ * config.queue (Boolean|Object)
+ *    - when truthy every record is persisted in localStorage until the
+ *      endpoint acknowledges it
+ *    - defaults to false
+ * config.queue.storageKey (String)
+ *    - localStorage key holding the pending records
+ *    - defaults to __td_queue_{database}
+ * config.queue.maxSize (Number)
+ *    - maximum number of pending records, oldest are dropped first
+ *    - defaults to 100
+ * config.queue.maxAge (Number)
+ *    - pending records older than this (in milliseconds) are dropped
+ *    - defaults to 604800000 (7 days)
+ * config.queue.leaseTimeout (Number)
+ *    - milliseconds during which a record being sent by a tab is not resent
+ *      by the others, in case the tab is closed before it settles
+ *    - defaults to 60000
+ *
+ */
+function configure (config) {
+  config = _.isObject(config) ? config : {}
+
+  this._queueOwnerId = generateUUID()
+  this.client.queue = configureQueue(config.queue, this.client.database)
+
+  if (!this.client.queue) {
+    return this
+  }
+
+  if (!misc.isLocalStorageAccessible()) {
+    this.client.queue = false
+    return this
+  }
+
+  if (window.addEventListener) {
+    var that = this
+    window.addEventListener('online', function () {
+      that.flushQueue()
+    })
+  }
+
+  this.flushQueue()
+
+  return this
+}
+
+/**
+ * Queue#_enqueueRecord
+ *
+ * Persists a request leased to this tab, as it is being sent
+ * Returns the id of the queued entry
+ */
+function _enqueueRecord (request) {
+  var queue = this.client.queue
+  var now = new Date().getTime()
+  var entry = {
+    id: generateUUID(),
+    timestamp: now,
+    request: request,
+    owner: this._queueOwnerId,
+    leasedAt: now
+  }
+
+  updateEntries(queue, function (entries) {
+    entries.push(entry)
+    return entries.slice(Math.max(entries.length - queue.maxSize, 0))
+  })
+
+  return entry.id
+}
+
+/**
+ * Queue#_settleRecord
+ *
+ * Releases the lease of a queued entry so it can be resent by any tab
+ * The entry is only removed from storage once it has been acknowledged,
+ * or rejected by the endpoint in a way that can not be retried
+ */
+function _settleRecord (id, remove) {
+  var queue = this.client.queue
+  if (!queue) {
+    return
+  }
+
+  updateEntries(queue, function (entries) {
+    return _.filter(entries, function (entry) {
+      if (entry.id !== id) {
+        return true
+      }
+      entry.owner = null
+      entry.leasedAt = null
+      return !remove
+    })
+  })
+}
+
+/**
+ * Queue#flushQueue
+ *
+ * Resends every pending record not leased by a tab, this one included
+ * The records are leased to this tab first and read back, so that records
+ * claimed by another tab at the same time are left to it
+ * Like in _sendRecord, records sent with sendBeacon are only released
+ * Called on initialization and whenever the browser comes back online
+ * With config.crossTab only the leader tab flushes
+ * Nothing is sent while events are blocked, the records are kept until
+ * events are unblocked
+ */
+function flushQueue () {
+  var queue = this.client.queue
+  if (!queue || this.client.development || !this.isLeaderTab() || this.areEventsBlocked()) {
+    return this
+  }
+
+  var owner = this._queueOwnerId
+  var now = new Date().getTime()
+  var claimed = {}
+  updateEntries(queue, function (entries) {
+    _.forEach(entries, function (entry) {
+      if (!isLeased(queue, entry, now)) {
+        entry.owner = owner
+        entry.leasedAt = now
+        claimed[entry.id] = true
+      }
+    })
+    return entries
+  })
+
+  var that = this
+  _.forEach(readEntries(queue), function (entry) {
+    if (!claimed[entry.id] || entry.owner !== owner || entry.leasedAt !== now) {
+      return
+    }
+
+    that._postRecord(
+      entry.request,
+      function (response) {
+        that._settleRecord(entry.id, api.isConfirmed(response))
+      },
+      function (err) {
+        that._settleRecord(entry.id, !api.isRetryableError(err))
+      }
+    )
+  })
+
+  return this
+}
+
+module.exports = {
+  configure: configure,
+  flushQueue: flushQueue,
+  _enqueueRecord: _enqueueRecord,
+  _settleRecord: _settleRecord
+}
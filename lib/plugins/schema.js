@@ -0,0 +1,172 @@
+/**
+ * Treasure Schema
+ */
+
+// Modules
+var _ = require('../utils/lodash')
+var invariant = require('../utils/misc').invariant
+
+var TYPES = ['string', 'number', 'integer', 'boolean']
+
+// Helpers
+function isEmptyValue (value) {
+  return value === undefined || value === null || value === ''
+}
+
+function isNumeric (value) {
+  return _.isString(value) && /^\s*-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value)
+}
+
+// Returns the value converted to the type, or undefined when it can not be
+// converted without losing information
+function coerce (value, type) {
+  switch (type) {
+    case 'string':
+      if (_.isString(value)) return value
+      if (_.isNumber(value) && isFinite(value)) return String(value)
+      if (typeof value === 'boolean') return String(value)
+      return undefined
+    case 'number':
+      if (_.isNumber(value)) return isFinite(value) ? value : undefined
+      if (isNumeric(value)) return Number(value)
+      return undefined
+    case 'integer':
+      var number = coerce(value, 'number')
+      return number !== undefined && Math.floor(number) === number
+        ? number
+        : undefined
+    case 'boolean':
+      if (typeof value === 'boolean') return value
+      if (value === 'true' || value === 1) return true
+      if (value === 'false' || value === 0) return false
+      return undefined
+  }
+}
+
+function validateField (name, rule, value) {
+  if (isEmptyValue(value)) {
+    return rule.required ? { field: name, rule: 'required', value: value } : null
+  }
+
+  if (rule.type) {
+    var coerced = coerce(value, rule.type)
+    if (coerced === undefined) {
+      return { field: name, rule: 'type', value: value }
+    }
+    value = coerced
+  }
+
+  if (rule['enum'] && _.filter(rule['enum'], function (option) { return option === value }).length === 0) {
+    return { field: name, rule: 'enum', value: value }
+  }
+
+  if (rule.maxLength && _.isString(value) && value.length > rule.maxLength) {
+    return { field: name, rule: 'maxLength', value: value }
+  }
+
+  return { field: name, value: value }
+}
+
+function validateSchema (table, schema) {
+  invariant(
+    _.isObject(schema),
+    'Must provide a schema for table ' + table
+  )
+
+  _.forIn(schema, function (rule, name) {
+    invariant(
+      _.isObject(rule),
+      'Schema rule for ' + name + ' must be an object'
+    )
+    invariant(
+      !rule.type || _.filter(TYPES, function (type) { return type === rule.type }).length,
+      'Schema type for ' + name + ' must be one of ' + TYPES.join(', ')
+    )
+    invariant(
+      !rule['enum'] || _.isArray(rule['enum']),
+      'Schema enum for ' + name + ' must be an array'
+    )
+  })
+}
+
+/**
+ * Schema#configure
+ *
+ * config (Object) - configuration object
+ * config.schemas (Object)
+ *    - schemas keyed by table name, see Schema#defineSchema
+ * config.schemaViolationCallback (Function)
+ *    - called with the violations, the table and the record when a record
+ *      does not match its schema and is not sent
+ *
+ */
+function configure (config) {
+  config = _.isObject(config) ? config : {}
+
+  this.client.schemas = {}
+  this.client.schemaViolationCallback = config.schemaViolationCallback || _.noop
+
+  var that = this
+  _.forIn(config.schemas || {}, function (schema, table) {
+    that.defineSchema(table, schema)
+  })
+
+  return this
+}
+
+/**
+ * Schema#defineSchema
+ *
+ * Declares the fields of a table
+ * Each field rule accepts type ('string', 'number', 'integer' or 'boolean'),
+ * required, enum and maxLength
+ *
+ * Example:
+ * td.defineSchema('purchases', {
+ *   order_id: { type: 'string', required: true, maxLength: 64 },
+ *   amount: { type: 'number', required: true },
+ *   currency: { type: 'string', enum: ['USD', 'JPY'] }
+ * })
+ *
+ */
+function defineSchema (table, schema) {
+  validateSchema(table, schema)
+  this.client.schemas[table] = schema
+  return this
+}
+
+/**
+ * Schema#_applySchema
+ *
+ * Coerces the record fields to their declared types
+ * Returns the coerced record and the list of violations
+ */
+function _applySchema (table, record) {
+  var schema = this.client.schemas && this.client.schemas[table]
+  if (!schema) {
+    return { record: record, violations: [] }
+  }
+
+  var result = _.assign({}, record)
+  var violations = []
+  _.forIn(schema, function (rule, name) {
+    var outcome = validateField(name, rule, record[name])
+    if (!outcome) {
+      return
+    }
+
+    if (outcome.rule) {
+      violations.push(outcome)
+    } else {
+      result[name] = outcome.value
+    }
+  })
+
+  return { record: result, violations: violations }
+}
+
+module.exports = {
+  configure: configure,
+  defineSchema: defineSchema,
+  _applySchema: _applySchema
+}
@@ -0,0 +1,98 @@
+var window = require('global/window')
+var elementUtils = require('../utils/element')
+var _ = require('../utils/lodash')
+var misc = require('../utils/misc')
+var document = window.document
+
+function defaultExtendScrollData (data) {
+  return data
+}
+
+// Scroll position of the bottom of the visible area, and scrollable height
+function measure (element) {
+  if (element === window || element === document) {
+    var root = document.documentElement || {}
+    var body = document.body || {}
+    return {
+      bottom: (window.pageYOffset || root.scrollTop || body.scrollTop || 0) +
+        (window.innerHeight || root.clientHeight || 0),
+      height: Math.max(root.scrollHeight || 0, body.scrollHeight || 0)
+    }
+  }
+
+  return {
+    bottom: element.scrollTop + element.clientHeight,
+    height: element.scrollHeight
+  }
+}
+
+function configure () {
+  this._scrollTrackingInstalled = false
+}
+
+function trackScrollDepth (trackScrollOptions) {
+  if (this._scrollTrackingInstalled) return
+
+  var instance = this
+  var options = _.assign({
+    element: window,
+    thresholds: [25, 50, 75, 100],
+    unit: 'percent',
+    throttle: 250,
+    extendScrollData: defaultExtendScrollData,
+    tableName: 'scrolls'
+  }, trackScrollOptions)
+
+  misc.invariant(
+    options.unit === 'percent' || options.unit === 'pixels',
+    'Scroll depth unit must be percent or pixels'
+  )
+
+  var reached = {}
+  var scrollTracker = misc.throttle(checkDepth, options.throttle)
+  var removeScrollTracker = elementUtils
+    .addEventListener(options.element, 'scroll', scrollTracker)
+
+  // Thresholds are sent once per pageview, single-page applications included
+  var onPageview = function () {
+    scrollTracker.cancel()
+    reached = {}
+  }
+  instance.on('pageview:tracked', onPageview)
+
+  instance._scrollTrackingInstalled = true
+  return misc.disposable(function () {
+    removeScrollTracker()
+    scrollTracker.cancel()
+    instance.off('pageview:tracked', onPageview)
+    instance._scrollTrackingInstalled = false
+  })
+
+  function checkDepth () {
+    var size = measure(options.element)
+    if (!size.height) return
+
+    var depth = options.unit === 'pixels'
+      ? size.bottom
+      : Math.min(100, Math.round(size.bottom / size.height * 100))
+
+    _.forEach(options.thresholds, function (threshold) {
+      if (depth < threshold || reached[threshold]) return
+
+      reached[threshold] = true
+      var data = options.extendScrollData({
+        td_scroll_threshold: threshold,
+        td_scroll_unit: options.unit,
+        td_scroll_depth: depth
+      })
+      if (data) {
+        instance.trackEvent(options.tableName, data)
+      }
+    })
+  }
+}
+
+module.exports = {
+  configure: configure,
+  trackScrollDepth: trackScrollDepth
+}
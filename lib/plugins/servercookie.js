@@ -2,7 +2,7 @@
  * Treasure Server Side Cookie
  */
 
-var noop = require('../utils/lodash').noop
+var misc = require('../utils/misc')
 var cookie = require('../vendor/js-cookies')
 var setCookie = require('../utils/setCookie')
 var api = require('../utils/xhr')
@@ -14,13 +14,14 @@ function configure () {
 }
 
 function fetchServerCookie (success, error, forceFetch) {
-  success = success || noop
-  error = error || noop
+  var deferred = misc.deferred(success, error)
   if (!this.inSignedMode()) {
-    return error('not in signed in mode')
+    deferred.reject('not in signed in mode')
+    return deferred.promise
   }
   if (!this.client.useServerSideCookie) {
-    return error('server side cookie not enabled')
+    deferred.reject('server side cookie not enabled')
+    return deferred.promise
   }
   if (!this._serverCookieDomainHost) {
     if (typeof this.client.sscDomain === 'function') {
@@ -37,18 +38,22 @@ function fetchServerCookie (success, error, forceFetch) {
   var url = 'https://' + this._serverCookieDomainHost + '/get_cookie_id?cookie_domain=' + window.encodeURI(this._serverCookieDomain) + '&r=' + new Date().getTime()
   var cachedSSCId = cookie.getItem(cookieName)
   if (cachedSSCId && !forceFetch) {
-    return setTimeout(function () {
-      success(cachedSSCId)
+    setTimeout(function () {
+      deferred.resolve(cachedSSCId)
     }, 0)
+    return deferred.promise
   }
 
   api.get(url, {
-    ignoreDefaultHeaders: true
+    ignoreDefaultHeaders: true,
+    retry: this.client.retry
   })
     .then(function (res) {
-      success(res.td_ssc_id)
+      deferred.resolve(res.td_ssc_id)
     })
-    .catch(error)
+    .catch(deferred.reject)
+
+  return deferred.promise
 }
 
 function removeServerCookie () {
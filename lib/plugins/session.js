@@ -0,0 +1,222 @@
+/**
+ * Treasure Session
+ */
+
+// Modules
+var window = require('global/window')
+var _ = require('../utils/lodash')
+var cookie = require('../vendor/js-cookies')
+var setCookie = require('../utils/setCookie')
+var generateUUID = require('../utils/generateUUID')
+var campaignUtils = require('../utils/campaign')
+var document = window.document
+
+// Helpers
+function configureSession (session) {
+  if (!session) {
+    return false
+  }
+
+  session = _.isObject(session) ? session : {}
+
+  return _.assign(
+    {
+      cookieName: '_td_ses',
+      timeout: 1800000,
+      expireAtMidnight: false,
+      expireOnCampaignChange: false,
+      table: null
+    },
+    session
+  )
+}
+
+// Returns the campaign parameters of the url, or null without any
+function getCampaign () {
+  var search = (document.location && document.location.search) || ''
+  var campaign = campaignUtils.parseCampaign(search, campaignUtils.UTM_PARAMETERS)
+  if (!campaign) {
+    return null
+  }
+
+  return _.map(campaignUtils.UTM_PARAMETERS, function (name) {
+    return campaign[name] || ''
+  }).join('|')
+}
+
+function isSameDay (first, second) {
+  return new Date(first).toDateString() === new Date(second).toDateString()
+}
+
+function isExpired (session, state, now, campaign) {
+  return now - state.lastActivityAt >= session.timeout ||
+    (session.expireAtMidnight && !isSameDay(state.lastActivityAt, now)) ||
+    (session.expireOnCampaignChange && campaign !== null && campaign !== state.campaign)
+}
+
+/**
+ * Session#configure
+ *
+ * config (Object) - configuration object
+ * config.session (Boolean|Object)
+ *    - when truthy records of trackEvent get td_session_id and td_session_seq
+ *    - defaults to false
+ * config.session.cookieName (String)
+ *    - cookie holding the session, set like the client id cookie
+ *    - defaults to _td_ses
+ * config.session.timeout (Number)
+ *    - milliseconds of inactivity after which the session expires
+ *    - defaults to 1800000 (30 minutes)
+ * config.session.expireAtMidnight (Boolean)
+ *    - expire the session when the day changes
+ *    - defaults to false
+ * config.session.expireOnCampaignChange (Boolean)
+ *    - expire the session when the page has other utm_* parameters
+ *    - defaults to false
+ * config.session.table (String)
+ *    - table receiving session_start and session_end records
+ *    - defaults to null (no records)
+ *
+ */
+function configure (config) {
+  config = _.isObject(config) ? config : {}
+
+  this._sessionState = null
+  this.client.session = configureSession(config.session)
+  return this
+}
+
+/**
+ * Session#getSession
+ *
+ * Returns the current session as {id, seq, startedAt, lastActivityAt},
+ * or null when there is none
+ *
+ */
+function getSession () {
+  var session = this.client.session
+  if (!session) {
+    return null
+  }
+
+  var state = this._sessionState
+  var stored = cookie.getItem(session.cookieName)
+  if (stored) {
+    try {
+      state = JSON.parse(stored)
+    } catch (e) {}
+  }
+
+  return state && state.id ? state : null
+}
+
+/**
+ * Session#_writeSession
+ *
+ * The session is only persisted in the cookie in Signed Mode, like the
+ * client id
+ *
+ */
+function _writeSession (state) {
+  var session = this.client.session
+  var storage = this.client.storage
+  this._sessionState = state
+
+  if (storage && storage.expires && this.inSignedMode()) {
+    setCookie(storage, session.cookieName, JSON.stringify(state))
+  }
+}
+
+/**
+ * Session#_touchSession
+ *
+ * Records an activity, starting a new session when the current one expired
+ * Returns the session values to add to a record
+ *
+ */
+function _touchSession () {
+  if (!this.client.session) {
+    return {}
+  }
+
+  var now = new Date().getTime()
+  var campaign = getCampaign()
+  var state = this.getSession()
+
+  if (state && isExpired(this.client.session, state, now, campaign)) {
+    this._endSession(state)
+    state = null
+  }
+
+  if (!state) {
+    state = {
+      id: generateUUID(),
+      seq: 0,
+      startedAt: now,
+      campaign: campaign
+    }
+    this._startSession(state)
+  }
+
+  state.seq += 1
+  state.lastActivityAt = now
+  if (campaign !== null) {
+    state.campaign = campaign
+  }
+  this._writeSession(state)
+
+  return {
+    td_session_id: state.id,
+    td_session_seq: state.seq
+  }
+}
+
+/**
+ * Session#_startSession
+ */
+function _startSession (state) {
+  this._emit('session:start', { sessionId: state.id })
+  this._recordSession('session_start', state, {})
+}
+
+/**
+ * Session#_endSession
+ *
+ * Sessions end when the next activity finds them expired
+ *
+ */
+function _endSession (state) {
+  this._emit('session:end', { sessionId: state.id })
+  this._recordSession('session_end', state, {
+    td_session_seq: state.seq,
+    td_session_duration: state.lastActivityAt - state.startedAt
+  })
+}
+
+/**
+ * Session#_recordSession
+ *
+ * Adds a session_start or session_end record to config.session.table
+ *
+ */
+function _recordSession (eventName, state, values) {
+  var table = this.client.session.table
+  if (!table) {
+    return
+  }
+
+  this.addRecord(table, _.assign(this.getTrackValues(), values, {
+    td_session_id: state.id,
+    td_session_event: eventName
+  }))
+}
+
+module.exports = {
+  configure: configure,
+  getSession: getSession,
+  _writeSession: _writeSession,
+  _touchSession: _touchSession,
+  _startSession: _startSession,
+  _endSession: _endSession,
+  _recordSession: _recordSession
+}
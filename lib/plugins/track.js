@@ -10,12 +10,16 @@ var _ = require('../utils/lodash')
 var cookie = require('../vendor/js-cookies')
 var setCookie = require('../utils/setCookie')
 var generateUUID = require('../utils/generateUUID')
+var campaignUtils = require('../utils/campaign')
+var userAgent = require('../utils/userAgent')
 var version = require('../version')
 var document = window.document
 
+var CAMPAIGN_PARAMETERS = campaignUtils.UTM_PARAMETERS.concat(['utm_id', 'gclid', 'dclid', 'fbclid', 'msclkid'])
+
 // Helpers
 function configureValues (track) {
-  return _.assign(
+  var values = _.assign(
     {
       td_version: function () {
         return version
@@ -76,26 +80,36 @@ function configureValues (track) {
         return document.location.pathname
       },
       td_referrer: function () {
-        return document.referrer
+        // Set by trackPageviewsAutomatically after in-app navigations
+        return track.virtualReferrer || document.referrer
       },
       td_ip: function () {
         return 'td_ip'
       },
+      // Placeholders filled by the server, unless config.deviceDetection
       td_browser: function () {
-        return 'td_browser'
+        return track.device ? track.device.browser : 'td_browser'
       },
       td_browser_version: function () {
-        return 'td_browser_version'
+        return track.device ? track.device.browserVersion : 'td_browser_version'
       },
       td_os: function () {
-        return 'td_os'
+        return track.device ? track.device.os : 'td_os'
       },
       td_os_version: function () {
-        return 'td_os_version'
+        return track.device ? track.device.osVersion : 'td_os_version'
       }
     },
     track.values
   )
+
+  if (track.device && !values.td_device_type) {
+    values.td_device_type = function () {
+      return track.device.deviceType
+    }
+  }
+
+  return values
 }
 
 function configureTrack (track) {
@@ -109,6 +123,21 @@ function configureTrack (track) {
   )
 }
 
+function configureDeviceDetection (deviceDetection) {
+  if (!deviceDetection) {
+    return false
+  }
+
+  deviceDetection = _.isObject(deviceDetection) ? deviceDetection : {}
+
+  return _.assign(
+    {
+      highEntropy: true
+    },
+    deviceDetection
+  )
+}
+
 function configureStorage (storage) {
   if (storage === 'none') {
     return false
@@ -128,6 +157,71 @@ function configureStorage (storage) {
   )
 }
 
+function configureCampaign (campaign) {
+  if (!campaign) {
+    return false
+  }
+
+  campaign = _.isObject(campaign) ? campaign : {}
+
+  return _.assign(
+    {
+      parameters: CAMPAIGN_PARAMETERS,
+      cookieName: '_td_cmp',
+      firstTouchExpires: 7776000,
+      lastTouchExpires: 2592000
+    },
+    campaign
+  )
+}
+
+// Creates a touch expiring after expires seconds
+function createTouch (values, now, expires) {
+  return { values: values, expiresAt: now + expires * 1000 }
+}
+
+function isLiveTouch (touch, now) {
+  return Boolean(touch && touch.values && touch.expiresAt > now)
+}
+
+// Prefixes the parameters of a touch, utm_source becomes td_utm_source or
+// td_first_utm_source
+function getTouchValues (touch, prefix) {
+  var result = {}
+  _.forIn(touch && touch.values, function (value, name) {
+    result[prefix + name] = value
+  })
+  return result
+}
+
+// Returns the stored touches, without the expired ones
+function readCampaignState (instance) {
+  var state = instance._campaignState
+  var stored = cookie.getItem(instance.client.campaign.cookieName)
+  if (stored) {
+    try {
+      state = JSON.parse(stored)
+    } catch (e) {}
+  }
+
+  var now = new Date().getTime()
+  return {
+    first: state && isLiveTouch(state.first, now) ? state.first : null,
+    last: state && isLiveTouch(state.last, now) ? state.last : null
+  }
+}
+
+// Like the client id, touches are only persisted in the cookie in Signed Mode,
+// in Anonymous Mode they are lost with the page
+function writeCampaignState (instance, state) {
+  var storage = instance.client.storage
+  instance._campaignState = state
+
+  if (storage && storage.expires && instance.inSignedMode()) {
+    setCookie(storage, instance.client.campaign.cookieName, JSON.stringify(state))
+  }
+}
+
 function getMeta (metaName) {
   var head = document.head || document.getElementsByTagName('head')[0]
   var metas = head.getElementsByTagName('meta')
@@ -164,6 +258,33 @@ function getMeta (metaName) {
  * config.track.events (String)
  *    - default events table name
  *    - defaults to 'events'
+ * config.deviceDetection (Boolean|Object)
+ *    - when truthy td_browser, td_browser_version, td_os and td_os_version
+ *      are detected in the browser instead of by the server, and
+ *      td_device_type is added
+ *    - defaults to false
+ * config.deviceDetection.highEntropy (Boolean)
+ *    - request the full browser and os versions from client hints
+ *    - defaults to true
+ * config.campaign (Boolean|Object)
+ *    - when truthy the campaign parameters of landing pages are kept as
+ *      first touch and last touch, and added to the records of trackEvent
+ *    - touches are only stored in Signed Mode, in Anonymous Mode they only
+ *      last for the landing page
+ *    - defaults to false
+ * config.campaign.parameters (Array)
+ *    - query string parameters to capture
+ *    - defaults to utm_source, utm_medium, utm_campaign, utm_term,
+ *      utm_content, utm_id, gclid, dclid, fbclid and msclkid
+ * config.campaign.cookieName (String)
+ *    - cookie holding the touches, set like the client id cookie
+ *    - defaults to _td_cmp
+ * config.campaign.firstTouchExpires (Number)
+ *    - seconds after which the first touch is replaced by the next landing
+ *    - defaults to 7776000 (90 days)
+ * config.campaign.lastTouchExpires (Number)
+ *    - seconds after which the last touch is dropped
+ *    - defaults to 2592000 (30 days)
  *
  */
 exports.configure = function configure (config) {
@@ -172,6 +293,20 @@ exports.configure = function configure (config) {
   // Object configuration for track and storage
   this.client.track = config.track = configureTrack(config.track)
   this.client.storage = config.storage = configureStorage(config.storage)
+  this.client.campaign = configureCampaign(config.campaign)
+  this.client.deviceDetection = configureDeviceDetection(config.deviceDetection)
+
+  var track = this.client.track
+  if (this.client.deviceDetection) {
+    track.device = userAgent.detectDevice(
+      window.navigator,
+      this.client.deviceDetection.highEntropy,
+      function (device) {
+        track.device = device
+      }
+    )
+  }
+  this._campaignState = null
 
   // If clientId is not set, check cookies
   // If it's not set after checking cookies, generate a uuid and assign it
@@ -219,10 +354,65 @@ exports.resetUUID = function resetUUID (suggestedStorage, suggestedClientId) {
   return this
 }
 
+/**
+ * Track#getCampaignTouches
+ *
+ * Returns the touches as {firstTouch, lastTouch}, each holding the captured
+ * parameters or null once expired, or null when there is none
+ *
+ */
+exports.getCampaignTouches = function getCampaignTouches () {
+  if (!this.client.campaign) {
+    return null
+  }
+
+  var state = readCampaignState(this)
+  return state.first || state.last
+    ? {
+      firstTouch: state.first && state.first.values,
+      lastTouch: state.last && state.last.values
+    }
+    : null
+}
+
+/**
+ * Track#_touchCampaign
+ *
+ * Captures the campaign parameters of the current page as last touch, and
+ * as first touch when there is none
+ * Returns the campaign values to add to a record
+ *
+ */
+exports._touchCampaign = function _touchCampaign () {
+  var campaign = this.client.campaign
+  if (!campaign) {
+    return {}
+  }
+
+  var state = readCampaignState(this)
+  var search = (document.location && document.location.search) || ''
+  var landing = campaignUtils.parseCampaign(search, campaign.parameters)
+
+  if (landing) {
+    var now = new Date().getTime()
+    state.first = state.first || createTouch(landing, now, campaign.firstTouchExpires)
+    state.last = createTouch(landing, now, campaign.lastTouchExpires)
+    writeCampaignState(this, state)
+  }
+
+  return _.assign(
+    getTouchValues(state.last, 'td_'),
+    getTouchValues(state.first, 'td_first_')
+  )
+}
+
 /**
  * Track#trackEvent
  *
  * Like Treasure#addRecord, except that it'll include all track values
+ * and, with config.session and config.campaign, the session and campaign
+ * values
+ * Returns the promise of Treasure#addRecord
  *
  */
 exports.trackEvent = function trackEvent (table, record, success, failure) {
@@ -231,9 +421,8 @@ exports.trackEvent = function trackEvent (table, record, success, failure) {
     table = this.client.track.events
   }
 
-  record = _.assign(this.getTrackValues(), record)
-  this.addRecord(table, record, success, failure)
-  return this
+  record = _.assign(this.getTrackValues(), this._touchCampaign(), this._touchSession(), record)
+  return this.addRecord(table, record, success, failure)
 }
 
 /**
@@ -253,8 +442,36 @@ exports.trackPageview = function trackPageview (table, success, failure) {
     table = this.client.track.pageviews
   }
 
-  this.trackEvent(table, {}, success, failure)
-  return this
+  return this.trackEvent(table, this._startPageview({}), success, failure)
+}
+
+/**
+ * Track#_startPageview
+ *
+ * Gives a pageview record its event id ahead of time so the records about
+ * the same page can refer to it, see Track#getPageviewId
+ *
+ */
+exports._startPageview = function _startPageview (record) {
+  var eventIdField = this.client.eventIdField
+  var pageviewId = (eventIdField && record[eventIdField]) || generateUUID()
+  if (eventIdField) {
+    record[eventIdField] = pageviewId
+  }
+
+  this._pageviewId = pageviewId
+  this._emit('pageview:tracked', { pageviewId: pageviewId })
+  return record
+}
+
+/**
+ * Track#getPageviewId
+ *
+ * Returns the event id of the last pageview, or null before the first one
+ *
+ */
+exports.getPageviewId = function getPageviewId () {
+  return this._pageviewId || null
 }
 
 /**
@@ -9,6 +9,8 @@ var global = require('global')
 var cookie = require('./vendor/js-cookies')
 var setCookie = require('./utils/setCookie')
 var api = require('./utils/xhr')
+var generateUUID = require('./utils/generateUUID')
+var createCircuitBreaker = require('./utils/circuitBreaker')
 
 var noop = _.noop
 
@@ -37,6 +39,98 @@ function validateRecord (table, record) {
   )
 }
 
+/**
+ * Validate a context returned by middleware
+ * The table may have been changed so it is validated again
+ */
+function validateContext (context) {
+  invariant(
+    _.isObject(context) && _.isString(context.database),
+    'Middleware must return a {table, record, database} object or null'
+  )
+
+  validateRecord(context.table, context.record)
+}
+
+/**
+ * Run beforeSend middleware
+ *
+ * Each middleware receives the result of the previous one
+ * Stays synchronous until a middleware returns a promise
+ * An invalid final context fails like a throwing middleware
+ */
+function runMiddleware (middleware, context, done, fail) {
+  var index = 0
+
+  // Like a synchronous one, a promise resolving nothing keeps the context
+  function resume (current) {
+    return function (value) {
+      next(value === undefined ? current : value)
+    }
+  }
+
+  function next (current) {
+    try {
+      while (current && index < middleware.length) {
+        var result = middleware[index++](current)
+        if (result && _.isFunction(result.then)) {
+          result.then(resume(current), fail)
+          return
+        }
+        current = result === undefined ? current : result
+      }
+
+      if (current) {
+        validateContext(current)
+      }
+    } catch (err) {
+      fail(err)
+      return
+    }
+
+    done(current || null)
+  }
+
+  next(context)
+}
+
+/**
+ * Find whether an extra destination accepts records of a table
+ */
+function acceptsTable (destination, table) {
+  var tables = destination.tables
+  var inList = function (list) {
+    return _.filter(list, function (name) { return name === table }).length > 0
+  }
+
+  return (!tables.allow || inList(tables.allow)) && !inList(tables.deny)
+}
+
+function createRequest (apikey, endpoint, database, table, record, type) {
+  return {
+    apikey: apikey,
+    database: database,
+    record: record,
+    table: table,
+    time: record.time || null,
+    type: type,
+    url: endpoint + database + '/' + table
+  }
+}
+
+// Bulk requests go to the records ingest API, which authenticates with the
+// Authorization header instead of the write key header
+function getRequestHeaders (request) {
+  if (!request.bulk) {
+    return { 'X-TD-Write-Key': request.apikey }
+  }
+
+  return {
+    Authorization: 'TD1 ' + request.apikey,
+    'Content-Type': 'application/vnd.treasuredata.v1+json'
+  }
+}
+
 var BLOCKEVENTSCOOKIE = '__td_blockEvents'
 var SIGNEDMODECOOKIE = '__td_signed'
 
@@ -78,6 +172,8 @@ exports.setSignedMode = function setSignedMode () {
   }
 
   this.resetUUID(this.client.storage, this.client.track.uuid)
+  this._broadcast('mode', { signed: true, clientId: this.client.track.uuid })
+  this._emit('mode:signed')
   return this
 }
 
@@ -104,8 +200,20 @@ exports.setAnonymousMode = function setAnonymousMode (keepIdentifier) {
 
     // remove server side cookie
     this.removeServerCookie()
+
+    // remove session cookie
+    if (this.client.session) {
+      setCookie(this.client.storage, this.client.session.cookieName)
+    }
+
+    // remove campaign cookie
+    if (this.client.campaign) {
+      setCookie(this.client.storage, this.client.campaign.cookieName)
+    }
   }
 
+  this._broadcast('mode', { signed: false, keepIdentifier: !!keepIdentifier })
+  this._emit('mode:anonymous', { keepIdentifier: !!keepIdentifier })
   return this
 }
 
@@ -129,6 +237,11 @@ exports.inSignedMode = function inSignedMode () {
 
 /**
  * Send record
+ *
+ * When the offline queue is enabled the request is persisted first and only
+ * removed once the endpoint acknowledges it, records sent with sendBeacon
+ * stay queued and are replayed on the next page load
+ * When batching is enabled the request is buffered instead of posted
  */
 exports._sendRecord = function _sendRecord (request, success, error, blockedEvent) {
   success = success || noop
@@ -138,6 +251,106 @@ exports._sendRecord = function _sendRecord (request, success, error, blockedEven
     return
   }
 
+  if (this.client.queue) {
+    var that = this
+    var entryId = this._enqueueRecord(request)
+    var onSuccess = success
+    var onError = error
+
+    success = function (response) {
+      that._settleRecord(entryId, api.isConfirmed(response))
+      onSuccess(response)
+    }
+    error = function (err) {
+      // Requests rejected by the endpoint would be rejected again
+      that._settleRecord(entryId, !api.isRetryableError(err))
+      onError(err)
+    }
+  }
+
+  if (this.client.batch) {
+    this._batchRecord(request, success, error)
+  } else {
+    this._postRecord(request, success, error)
+  }
+}
+
+/**
+ * Find whether the page is being hidden or unloaded
+ */
+exports._isPageHidden = function _isPageHidden () {
+  return Boolean(
+    this._windowBeingUnloaded ||
+    (window.document && window.document.visibilityState === 'hidden')
+  )
+}
+
+/**
+ * Treasure#_getCircuitBreaker
+ *
+ * Returns the circuit breaker of the host of a url, or null when
+ * config.circuitBreaker is disabled
+ * Every host has its own breaker, so that a failing destination does not
+ * block the others, nor gets reset by their successes
+ */
+exports._getCircuitBreaker = function _getCircuitBreaker (url) {
+  if (!this._circuitBreakers) {
+    return null
+  }
+
+  var host = misc.getUrlHost(url) || ''
+  if (!this._circuitBreakers[host]) {
+    this._circuitBreakers[host] = createCircuitBreaker(_.assign({}, this.client.circuitBreaker, {
+      storageKey: this.client.circuitBreaker.storageKey + '_' + host
+    }))
+  }
+  return this._circuitBreakers[host]
+}
+
+/**
+ * Post record
+ *
+ * Performs the actual request to the endpoint
+ * A custom client.transport takes over sending when configured, its send
+ * method must return a promise, a thrown error or a rejection is retried
+ * like a network error unless it has retryable set to false
+ * While the circuit breaker of its host is open the request fails without
+ * being sent
+ * While the page is hidden or unloaded the request goes through sendBeacon,
+ * which can not carry headers so the write key is moved to the url
+ * A beacon succeeds with {beacon: true}, it is not an acknowledgment so the
+ * circuit breaker and the offline queue ignore it
+ * Bulk requests of config.batch need their headers and never use sendBeacon,
+ * they are sent with fetch keepalive instead while the page is hidden
+ */
+exports._postRecord = function _postRecord (request, success, error) {
+  var that = this
+  var breaker = this._getCircuitBreaker(request.url)
+  if (breaker) {
+    if (!breaker.allowRequest()) {
+      var circuitError = new Error('Circuit breaker is open')
+      // Queued records stay queued unless they should be dropped
+      circuitError.retryable = this.client.circuitBreaker.whenOpen === 'queue'
+      error(circuitError)
+      return
+    }
+
+    var onSuccess = success
+    var onError = error
+    success = function (response) {
+      if (api.isConfirmed(response) && breaker.recordSuccess()) {
+        that.flushQueue()
+      }
+      onSuccess(response)
+    }
+    error = function (err) {
+      if (api.isRetryableError(err) && breaker.recordFailure()) {
+        that.log('Circuit breaker opened after consecutive failures')
+      }
+      onError(err)
+    }
+  }
+
   var params = [
     'modified=' + encodeURIComponent(new Date().getTime())
   ]
@@ -147,21 +360,74 @@ exports._sendRecord = function _sendRecord (request, success, error, blockedEven
   }
 
   var url = request.url + '?' + params.join('&')
-  var isClickedLink = request.record.tag === 'a' && !!request.record.href
+  var isClickedLink = !request.bulk && request.record.tag === 'a' && !!request.record.href
+  var sentAt = new Date().getTime()
+  var onDate = this.client.clockSkew
+    ? function (date) { that._readServerDate(date, sentAt) }
+    : null
+
+  if (this.client.transport) {
+    var transport = this.client.transport
+    var transportRequest = _.assign({}, request, {
+      url: url,
+      keepalive: this._isPageHidden() || isClickedLink
+    })
+
+    api.retry(function () {
+      var sent = transport.send(transportRequest)
+      if (!sent || !_.isFunction(sent.then)) {
+        var contractError = new Error('Transport send must return a Promise')
+        contractError.retryable = false
+        throw contractError
+      }
+      return sent
+    }, this.client.retry)
+      .then(function (response) {
+        // Transports resolving with a fetch Response expose its headers
+        if (onDate && response && response.headers && _.isFunction(response.headers.get)) {
+          onDate(response.headers.get('Date'))
+        }
+        success(response)
+      })['catch'](error)
+    return
+  }
+
+  if (this.client.useBeacon && this._isPageHidden() && !request.bulk) {
+    var beaconUrl = url + '&api_key=' + encodeURIComponent(request.apikey)
+    if (api.beacon(beaconUrl, request.record)) {
+      success({ beacon: true })
+      return
+    }
+  }
 
-  if (window.fetch && (this._windowBeingUnloaded || isClickedLink)) {
+  // Bulk requests are flushed when the page is hidden, often the last event
+  // a mobile page gets, so they need keepalive to outlive the page
+  var keepalive = this._windowBeingUnloaded || isClickedLink ||
+    Boolean(request.bulk && this._isPageHidden())
+  if (window.fetch && keepalive) {
+    var timeout = this.client.jsonpTimeout
     // @TODO Refactor to use xhr.js
-    fetchWithTimeout(url, this.client.jsonpTimeout, {
-      method: 'POST',
-      keepalive: true,
-      credentials: 'include',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-TD-Fetch-Api': true,
-        'X-TD-Write-Key': request.apikey
-      },
-      body: JSON.stringify(request.record)
-    })
+    api.retry(function () {
+      return fetchWithTimeout(url, timeout, {
+        method: 'POST',
+        keepalive: true,
+        credentials: 'include',
+        headers: _.assign({
+          'Content-Type': 'application/json',
+          'X-TD-Fetch-Api': true
+        }, getRequestHeaders(request)),
+        body: JSON.stringify(request.record)
+      })
+        .then(function (response) {
+          if (!response.ok) {
+            throw api.responseError(response)
+          }
+          if (onDate && response.headers) {
+            onDate(response.headers.get('Date'))
+          }
+          return response
+        })
+    }, this.client.retry)
       .then(function (response) {
         success(response)
       })['catch'](function (err) {
@@ -172,9 +438,9 @@ exports._sendRecord = function _sendRecord (request, success, error, blockedEven
       url,
       request.record,
       {
-        headers: {
-          'X-TD-Write-Key': request.apikey
-        }
+        headers: getRequestHeaders(request),
+        retry: this.client.retry,
+        onDate: onDate
       }
     )
       .then(success)
@@ -221,50 +487,232 @@ exports.applyProperties = function applyProperties (table, payload) {
   return _.assign({}, this.get('$global'), this.get(table), payload)
 }
 
+/**
+ * Treasure#use
+ *
+ * Adds a beforeSend middleware
+ * Middleware receive {table, record, database} and return a modified copy,
+ * a promise resolving to one, or null to cancel sending the record
+ *
+ * Example:
+ * td.use(function (context) {
+ *   return _.assign({}, context, {
+ *     record: _.omit(context.record, ['email'])
+ *   })
+ * })
+ *
+ */
+exports.use = function use (middleware) {
+  invariant(
+    _.isFunction(middleware),
+    'Middleware must be a function'
+  )
+
+  this.client.beforeSend.push(middleware)
+  return this
+}
+
 /**
  * Treasure#addRecord
  *
  * Takes a table and a record
+ * Returns a promise settled together with the callbacks, records that are
+ * not sent (blocked, sampled out, cancelled, development) resolve with null
  *
  */
 exports.addRecord = function addRecord (table, record, success, error) {
   validateRecord(table, record)
+
+  var deferred = misc.deferred(success, error)
+  var sampleRate = this._getSampleRate(table)
+  if (sampleRate !== null && !this._isSampled(sampleRate)) {
+    this._emit('record:blocked', { table: table, record: record, reason: 'sampled' })
+    deferred.skip()
+    return deferred.promise
+  }
+
   var propertiesRecord = this.applyProperties(table, record)
+  if (sampleRate !== null) {
+    propertiesRecord.td_sample_rate = sampleRate
+  }
+
   var finalRecord = this.inSignedMode()
     ? propertiesRecord
     : _.omit(propertiesRecord, ['td_ip', 'td_client_id', 'td_global_id'])
-  var request = {
-    apikey: this.client.writeKey,
+
+  var schemaResult = this._applySchema(table, finalRecord)
+  if (schemaResult.violations.length) {
+    this.client.schemaViolationCallback(schemaResult.violations, table, finalRecord)
+    var schemaError = new Error('Record does not match the schema of table ' + table)
+    schemaError.violations = schemaResult.violations
+    this._emit('record:blocked', { table: table, record: finalRecord, reason: 'invalid' })
+    deferred.reject(schemaError)
+    return deferred.promise
+  }
+
+  finalRecord = schemaResult.record
+  this._stampRecord(finalRecord)
+  var context = {
+    table: table,
     record: finalRecord,
-    time: null,
-    type: this.client.requestType,
-    url: this.client.endpoint + this.client.database + '/' + table
+    database: this.client.database
   }
 
-  if (request.record.time) {
-    request.time = request.record.time
+  var that = this
+  runMiddleware(this.client.beforeSend, context, function (result) {
+    if (!result) {
+      that._emit('record:blocked', { table: table, record: finalRecord, reason: 'cancelled' })
+    }
+
+    if (!result || !that._dispatchRecord(result, deferred.resolve, deferred.reject)) {
+      deferred.skip()
+    }
+  }, deferred.reject)
+
+  return deferred.promise
+}
+
+/**
+ * Treasure#_getSampleRate
+ *
+ * Returns the sampling rate configured for a table, or null
+ *
+ */
+exports._getSampleRate = function _getSampleRate (table) {
+  var sampling = this.client.sampling
+  if (!sampling || !_.isNumber(sampling[table])) {
+    return null
   }
 
-  if (this.client.development) {
-    this.log('addRecord', request)
+  return Math.min(Math.max(sampling[table], 0), 1)
+}
+
+/**
+ * Treasure#_isSampled
+ *
+ * The decision only depends on the client id so a user is either in or out
+ * of the sample for every record
+ * In Anonymous Mode the client id is not persisted, the decision then holds
+ * for a page load only
+ *
+ */
+exports._isSampled = function _isSampled (sampleRate) {
+  var clientId = (this.client.track && this.client.track.uuid) || ''
+  return misc.hashToUnitInterval(clientId) < sampleRate
+}
+
+/**
+ * Treasure#_stampRecord
+ *
+ * Adds an event id and a sequence number to a record
+ * The event id is kept across retries so duplicates can be removed
+ * The sequence number increases with every record of this instance
+ * With config.clockSkew the client time and corrected time are added too
+ *
+ */
+exports._stampRecord = function _stampRecord (record) {
+  var eventIdField = this.client.eventIdField
+  var sequenceField = this.client.sequenceField
+
+  if (eventIdField && !record[eventIdField]) {
+    record[eventIdField] = generateUUID()
+  }
+
+  if (sequenceField) {
+    this._sequence = (this._sequence || 0) + 1
+    record[sequenceField] = this._sequence
+  }
+
+  return this._correctTime(record)
+}
+
+/**
+ * Treasure#_dispatchRecord
+ *
+ * Builds the requests for a record that went through the middleware, one for
+ * the main database and one for each extra destination accepting the table
+ * The callbacks follow the request to the main database
+ * Returns whether the record was handed over for sending
+ *
+ */
+exports._dispatchRecord = function _dispatchRecord (context, success, error) {
+  success = success || noop
+  error = error || noop
+
+  var client = this.client
+  var requests = [
+    createRequest(
+      client.writeKey,
+      client.endpoint,
+      context.database,
+      context.table,
+      context.record,
+      client.requestType
+    )
+  ]
+
+  _.forEach(client.destinations, function (destination) {
+    if (acceptsTable(destination, context.table)) {
+      requests.push(createRequest(
+        destination.writeKey,
+        destination.endpoint,
+        destination.database,
+        context.table,
+        context.record,
+        client.requestType
+      ))
+    }
+  })
+
+  var that = this
+  var payloads = _.map(requests, function (request) {
+    return {
+      table: context.table,
+      record: request.record,
+      request: request
+    }
+  })
+
+  if (client.development) {
+    _.forEach(payloads, function (payload) {
+      that.log('addRecord', payload.request)
+      that._emit('record:blocked', _.assign({ reason: 'development' }, payload))
+    })
   } else if (!this.areEventsBlocked()) {
-    this._sendRecord(request, success, error, this.areEventsBlocked())
+    _.forEach(payloads, function (payload, index) {
+      that._emit('record:queued', payload)
+      that._sendRecord(payload.request, function (response) {
+        that._emit('record:sent', _.assign({ response: response }, payload))
+        if (index === 0) {
+          success(response)
+        }
+      }, function (err) {
+        that._emit('record:failed', _.assign({ error: err }, payload))
+        if (index === 0) {
+          error(err)
+        }
+      }, that.areEventsBlocked())
+    })
+    return true
+  } else {
+    _.forEach(payloads, function (payload) {
+      that._emit('record:blocked', _.assign({ reason: 'blocked' }, payload))
+    })
   }
+
+  return false
 }
 
 exports.addConsentRecord = function addConsentRecord (table, record, success, error) {
   validateRecord(table, record)
-  var request = {
-    apikey: this.client.writeKey,
-    record: record,
-    time: null,
-    type: this.client.requestType,
-    url: this.client.endpoint + this.client.database + '/' + table
-  }
-
-  if (request.record.time) {
-    request.time = request.record.time
-  }
+  var request = createRequest(
+    this.client.writeKey,
+    this.client.endpoint,
+    this.client.database,
+    table,
+    record,
+    this.client.requestType
+  )
 
   if (this.client.development) {
     this.log('addConsentRecord', request)
@@ -4,6 +4,7 @@ var configurator = require('./configurator')
 var version = require('./version')
 var cookie = require('./vendor/js-cookies')
 var config = require('./config')
+var emitter = require('./utils/emitter')
 
 function Treasure (options) {
   // enforces new
@@ -69,6 +70,15 @@ Treasure.prototype.set = configurator.set
  */
 Treasure.prototype.get = configurator.get
 
+/**
+ * Treasure#on
+ * Treasure#off
+ * Treasure#_emit
+ */
+Treasure.prototype.on = emitter.on
+Treasure.prototype.off = emitter.off
+Treasure.prototype._emit = emitter.emit
+
 /**
  * Treasure#ready
  */
@@ -77,7 +87,15 @@ Treasure.prototype.ready = require('domready')
 /**
  * Treasure#applyProperties
  * Treasure#addRecord
+ * Treasure#use
+ * Treasure#_getSampleRate
+ * Treasure#_isSampled
+ * Treasure#_stampRecord
+ * Treasure#_dispatchRecord
  * Treasure#_sendRecord
+ * Treasure#_postRecord
+ * Treasure#_getCircuitBreaker
+ * Treasure#_isPageHidden
  * Treasure#blockEvents
  * Treasure#unblockEvents
  * Treasure#areEventsBlocked
@@ -87,8 +105,16 @@ Treasure.prototype.ready = require('domready')
  */
 Treasure.prototype.applyProperties = record.applyProperties
 Treasure.prototype.addRecord = record.addRecord
+Treasure.prototype.use = record.use
+Treasure.prototype._getSampleRate = record._getSampleRate
+Treasure.prototype._isSampled = record._isSampled
+Treasure.prototype._stampRecord = record._stampRecord
+Treasure.prototype._dispatchRecord = record._dispatchRecord
 Treasure.prototype.addConsentRecord = record.addConsentRecord
 Treasure.prototype._sendRecord = record._sendRecord
+Treasure.prototype._postRecord = record._postRecord
+Treasure.prototype._getCircuitBreaker = record._getCircuitBreaker
+Treasure.prototype._isPageHidden = record._isPageHidden
 Treasure.prototype.blockEvents = record.blockEvents
 Treasure.prototype.unblockEvents = record.unblockEvents
 Treasure.prototype.areEventsBlocked = record.areEventsBlocked
@@ -111,10 +137,23 @@ Treasure.prototype._configurator = configurator
  */
 Treasure.Plugins = {
   Clicks: require('./plugins/clicks'),
+  Pageviews: require('./plugins/pageviews'),
+  Scroll: require('./plugins/scroll'),
+  Engagement: require('./plugins/engagement'),
+  Forms: require('./plugins/forms'),
+  Performance: require('./plugins/performance'),
+  Errors: require('./plugins/errors'),
+  Impressions: require('./plugins/impressions'),
   GlobalID: require('./plugins/globalid'),
   Personalization: require('./plugins/personalization'),
   Track: require('./plugins/track'),
+  Session: require('./plugins/session'),
   ServerSideCookie: require('./plugins/servercookie'),
+  CrossTab: require('./plugins/crosstab'),
+  Queue: require('./plugins/queue'),
+  Batch: require('./plugins/batch'),
+  Schema: require('./plugins/schema'),
+  Clock: require('./plugins/clock'),
   ConsentManager: require('./plugins/consent-manager').default
 }
 
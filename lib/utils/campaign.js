@@ -0,0 +1,44 @@
+var _ = require('./lodash')
+
+var UTM_PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content']
+
+// Malformed values like 50%off are kept as they are
+function decode (value) {
+  value = value.replace(/\+/g, ' ')
+  try {
+    return decodeURIComponent(value)
+  } catch (e) {
+    return value
+  }
+}
+
+// Returns the values of the parameters found in the query string,
+// or null when there is none
+// The first value of a parameter given twice wins
+function parseCampaign (search, parameters) {
+  var query = {}
+  _.forEach((search || '').replace(/^\?/, '').split('&'), function (pair) {
+    var index = pair.indexOf('=')
+    if (index === -1) return
+
+    var name = decode(pair.substr(0, index))
+    if (!_.has(query, name)) {
+      query[name] = decode(pair.substr(index + 1))
+    }
+  })
+
+  var campaign = null
+  _.forEach(parameters, function (name) {
+    var value = _.has(query, name) ? query[name] : ''
+    if (value) {
+      campaign = campaign || {}
+      campaign[name] = value
+    }
+  })
+  return campaign
+}
+
+module.exports = {
+  UTM_PARAMETERS: UTM_PARAMETERS,
+  parseCampaign: parseCampaign
+}
@@ -0,0 +1,93 @@
+var window = require('global/window')
+var _ = require('./lodash')
+var misc = require('./misc')
+var generateUUID = require('./generateUUID')
+
+// BroadcastChannel when available, otherwise localStorage storage events
+// Neither delivers a message to the tab that posted it
+function createTransport (name, dispatch) {
+  if (typeof window.BroadcastChannel === 'function') {
+    var channel = new window.BroadcastChannel(name)
+    channel.onmessage = function (event) {
+      dispatch(event.data)
+    }
+
+    return {
+      post: function (message) {
+        channel.postMessage(message)
+      },
+      close: function () {
+        channel.close()
+      }
+    }
+  }
+
+  if (window.addEventListener && misc.isLocalStorageAccessible()) {
+    var onStorage = function (event) {
+      if (event.key !== name || !event.newValue) {
+        return
+      }
+
+      var data
+      try {
+        data = JSON.parse(event.newValue)
+      } catch (e) {
+        return
+      }
+      dispatch(data.message)
+    }
+    window.addEventListener('storage', onStorage)
+
+    return {
+      post: function (message) {
+        try {
+          // The nonce turns repeated messages into distinct changes
+          window.localStorage.setItem(name, JSON.stringify({
+            message: message,
+            nonce: generateUUID()
+          }))
+          window.localStorage.removeItem(name)
+        } catch (e) {}
+      },
+      close: function () {
+        window.removeEventListener('storage', onStorage)
+      }
+    }
+  }
+
+  return {
+    post: _.noop,
+    close: _.noop
+  }
+}
+
+/**
+ * Creates a channel between the tabs of the origin
+ *
+ * post(message) - sends a JSON serializable message to the other tabs
+ * subscribe(handler) - returns a disposable removing the handler
+ * close() - stops listening
+ */
+function createChannel (name) {
+  var handlers = []
+  var transport = createTransport(name, function (message) {
+    _.forEach(handlers.slice(), function (handler) {
+      handler(message)
+    })
+  })
+
+  return {
+    post: transport.post,
+    close: transport.close,
+    subscribe: function subscribe (handler) {
+      handlers.push(handler)
+      return misc.disposable(function () {
+        handlers = _.filter(handlers, function (current) {
+          return current !== handler
+        })
+      })
+    }
+  }
+}
+
+module.exports = createChannel
@@ -0,0 +1,97 @@
+var window = require('global/window')
+var _ = require('./lodash')
+
+// State is kept in localStorage so every tab of the origin shares it
+// Falls back to memory when localStorage is not accessible
+function createStateStore (storageKey) {
+  var memoryState = {}
+
+  return {
+    read: function read () {
+      try {
+        return JSON.parse(window.localStorage.getItem(storageKey)) || {}
+      } catch (e) {
+        return memoryState
+      }
+    },
+    write: function write (state) {
+      memoryState = state
+      try {
+        window.localStorage.setItem(storageKey, JSON.stringify(state))
+      } catch (e) {}
+    }
+  }
+}
+
+/**
+ * Creates a circuit breaker
+ *
+ * options.threshold - consecutive failures before the circuit opens
+ * options.cooldown - milliseconds to wait before probing again
+ * options.storageKey - localStorage key of the shared state
+ *
+ * Closed: every request is allowed
+ * Open: no request is allowed until the cooldown is over
+ * Half open: a single probe request is allowed, its outcome closes or
+ * reopens the circuit
+ */
+function createCircuitBreaker (options) {
+  var store = createStateStore(options.storageKey)
+
+  function now () {
+    return new Date().getTime()
+  }
+
+  function isOpen (state) {
+    return state.failures >= options.threshold
+  }
+
+  return {
+    allowRequest: function allowRequest () {
+      var state = store.read()
+      if (!isOpen(state)) {
+        return true
+      }
+
+      var time = now()
+      if (time - state.openedAt < options.cooldown) {
+        return false
+      }
+
+      // Another tab is already probing
+      if (state.probedAt && time - state.probedAt < options.cooldown) {
+        return false
+      }
+
+      store.write(_.assign({}, state, { probedAt: time }))
+      return true
+    },
+
+    // Returns whether the circuit was open
+    recordSuccess: function recordSuccess () {
+      var wasOpen = isOpen(store.read())
+      store.write({ failures: 0 })
+      return wasOpen
+    },
+
+    // Returns whether the circuit just opened, from closed or half open
+    // Failures of requests sent before the circuit opened leave it as it is
+    recordFailure: function recordFailure () {
+      var state = store.read()
+      if (isOpen(state) && !state.probedAt) {
+        return false
+      }
+
+      var failures = (state.failures || 0) + 1
+      var opened = failures >= options.threshold
+      store.write({
+        failures: failures,
+        openedAt: opened ? now() : null,
+        probedAt: null
+      })
+      return opened
+    }
+  }
+}
+
+module.exports = createCircuitBreaker
@@ -0,0 +1,59 @@
+var _ = require('./lodash')
+var invariant = require('./misc').invariant
+
+function on (eventName, handler) {
+  invariant(
+    _.isString(eventName),
+    'Must provide an event name'
+  )
+
+  invariant(
+    _.isFunction(handler),
+    'Event handler must be a function'
+  )
+
+  this._listeners = this._listeners || {}
+  this._listeners[eventName] = this._listeners[eventName] || []
+  this._listeners[eventName].push(handler)
+  return this
+}
+
+// Without a handler every handler of the event is removed
+// Without arguments every handler is removed
+function off (eventName, handler) {
+  if (!this._listeners) {
+    return this
+  }
+
+  if (!eventName) {
+    this._listeners = {}
+  } else if (!handler) {
+    delete this._listeners[eventName]
+  } else {
+    this._listeners[eventName] = _.filter(this._listeners[eventName], function (listener) {
+      return listener !== handler
+    })
+  }
+
+  return this
+}
+
+// A failing handler must not break sending records or other handlers
+function emit (eventName, payload) {
+  var handlers = (this._listeners && this._listeners[eventName]) || []
+  var that = this
+  _.forEach(handlers.slice(), function (handler) {
+    try {
+      handler.call(that, payload)
+    } catch (err) {
+      that.log('Error in ' + eventName + ' handler', err)
+    }
+  })
+  return this
+}
+
+module.exports = {
+  on: on,
+  off: off,
+  emit: emit
+}
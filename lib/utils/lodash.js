@@ -3,8 +3,13 @@
  * Only import the parts of lodash that I'm using to reduce bundle size
  */
 module.exports = {
+  // Array
+  indexOf: require('lodash-compat/array/indexOf'),
+
   // Collection
+  filter: require('lodash-compat/collection/filter'),
   forEach: require('lodash-compat/collection/forEach'),
+  map: require('lodash-compat/collection/map'),
 
   // Lang
   isNumber: require('lodash-compat/lang/isNumber'),
@@ -17,6 +22,7 @@ module.exports = {
   // Object
   assign: require('lodash-compat/object/assign'),
   forIn: require('lodash-compat/object/forIn'),
+  has: require('lodash-compat/object/has'),
   omit: require('lodash-compat/object/omit'),
   cloneDeep: require('lodash-compat/lang/cloneDeep'),
   // Utility
@@ -8,6 +8,33 @@ function disposable (action) {
   }
 }
 
+// Promise settled together with the success and error callbacks
+// skip resolves with null without calling the callbacks, for calls that
+// intentionally do nothing
+// Rejections are marked as handled so callback-only callers see no warnings
+function deferred (success, error) {
+  var result = {}
+  result.promise = new Promise(function (resolve, reject) {
+    result.resolve = function (value) {
+      resolve(value)
+      if (success) {
+        success(value)
+      }
+    }
+    result.reject = function (err) {
+      reject(err)
+      if (error) {
+        error(err)
+      }
+    }
+    result.skip = function () {
+      resolve(null)
+    }
+  })
+  result.promise['catch'](function () {})
+  return result
+}
+
 function invariant (conditon, text) {
   if (!conditon) {
     throw new Error(text)
@@ -59,6 +86,58 @@ function isLocalStorageAccessible () {
   }
 }
 
+// FNV-1a, maps a string to a stable number in [0, 1)
+function hashToUnitInterval (str) {
+  var hash = 0x811c9dc5
+  for (var i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = (hash + (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24)) >>> 0
+  }
+  return hash / 4294967296
+}
+
+// Calls fn at most once every wait milliseconds, the last call of a burst
+// is replayed at the end of the window
+// cancel() drops a pending call
+function throttle (fn, wait) {
+  var timer = null
+  var pendingArgs = null
+
+  function run (args) {
+    fn.apply(null, args)
+    timer = setTimeout(function () {
+      timer = null
+      if (pendingArgs) {
+        var args = pendingArgs
+        pendingArgs = null
+        run(args)
+      }
+    }, wait)
+  }
+
+  function throttled () {
+    if (timer) {
+      pendingArgs = arguments
+    } else {
+      run(arguments)
+    }
+  }
+
+  throttled.cancel = function cancel () {
+    clearTimeout(timer)
+    timer = null
+    pendingArgs = null
+  }
+
+  return throttled
+}
+
+// Returns the host of an absolute url, or null
+function getUrlHost (url) {
+  var match = /^(?:https?:)?\/\/([^/?#]+)/.exec(url || '')
+  return match ? match[1] : null
+}
+
 function camelCase (str) {
   if (!str) return
 
@@ -74,9 +153,13 @@ function camelCase (str) {
 }
 
 module.exports = {
+  deferred: deferred,
   disposable: disposable,
   invariant: invariant,
   fetchWithTimeout: fetchWithTimeout,
+  getUrlHost: getUrlHost,
   camelCase: camelCase,
-  isLocalStorageAccessible: isLocalStorageAccessible
+  hashToUnitInterval: hashToUnitInterval,
+  isLocalStorageAccessible: isLocalStorageAccessible,
+  throttle: throttle
 }
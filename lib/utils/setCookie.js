@@ -1,5 +1,6 @@
 var cookie = require('../vendor/js-cookies')
 var _ = require('../utils/lodash')
+var generateUUID = require('./generateUUID')
 
 function findDomains (domain) {
   var domainChunks = domain.split('.')
@@ -41,6 +42,8 @@ module.exports = function setCookie (storage, name, value) {
     // bar.foo.com, baz.foo.com, foo.com
     // First it tries setting a cookie on .com, and it fails
     // Then it sets the cookie on foo.com, and it'll pass
+    // The domains are tried with a probe cookie of this call only, as
+    // another tab may write the cookie itself at the same time
     var domains = findDomains(storage.domain)
     var ll = domains.length
     var i = 0
@@ -53,13 +56,15 @@ module.exports = function setCookie (storage, name, value) {
       // already set the cookie
       if (cookie.getItem(name) === value) return
 
+      var probeName = '__td_probe_' + generateUUID()
       for (; i < ll; i++) {
         clone.domain = domains[i]
-        cookie.setItem(name, value, expires, clone.path, clone.domain, true, 'None')
+        cookie.setItem(probeName, 'true', expires, clone.path, clone.domain, true, 'None')
 
-        // Break when cookies aren't being cleared and it gets set properly
-        // Don't break when value is falsy so all the cookies get cleared
-        if (cookie.getItem(name) === value) {
+        // Break when the probe gets set properly
+        if (cookie.getItem(probeName) === 'true') {
+          cookie.removeItem(probeName, clone.path, clone.domain)
+          cookie.setItem(name, value, expires, clone.path, clone.domain, true, 'None')
           // When cookie is set succesfully, save used domain in storage object
           storage.domain = clone.domain
           break
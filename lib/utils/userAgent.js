@@ -0,0 +1,162 @@
+var _ = require('./lodash')
+
+// Checked in order, as most browsers also name the browsers they derive from
+var BROWSERS = [
+  ['Edge', /\b(?:Edg|Edge|EdgA|EdgiOS)\/([\d.]+)/],
+  ['Opera', /\b(?:OPR|Opera|OPiOS)\/([\d.]+)/],
+  ['Samsung Internet', /\bSamsungBrowser\/([\d.]+)/],
+  ['Firefox', /\b(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /\b(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /\bVersion\/([\d.]+).*\bSafari\//],
+  ['Internet Explorer', /\b(?:MSIE |Trident\/.*\brv:)([\d.]+)/]
+]
+
+var OPERATING_SYSTEMS = [
+  ['Windows Phone', /\bWindows Phone(?: OS)? ([\d.]+)/],
+  ['Windows', /\bWindows NT ([\d.]+)/],
+  ['iOS', /\b(?:iPhone|iPad|iPod).*? OS ([\d_]+)/],
+  ['Android', /\bAndroid ([\d.]+)/],
+  ['Chrome OS', /\bCrOS \S+ ([\d.]+)/],
+  ['macOS', /\bMac OS X ([\d_.]+)/],
+  ['Linux', /\bLinux()/]
+]
+
+var WINDOWS_VERSIONS = {
+  '5.1': 'XP',
+  '6.0': 'Vista',
+  '6.1': '7',
+  '6.2': '8',
+  '6.3': '8.1',
+  '10.0': '10'
+}
+
+// Names of userAgentData brands and platforms as named by the parser
+var BRAND_NAMES = {
+  'Google Chrome': 'Chrome',
+  'Microsoft Edge': 'Edge'
+}
+
+var PLATFORM_NAMES = {
+  'Chromium OS': 'Chrome OS'
+}
+
+var HIGH_ENTROPY_HINTS = ['fullVersionList', 'platformVersion']
+
+function matchFirst (list, userAgent) {
+  for (var i = 0; i < list.length; i++) {
+    var match = list[i][1].exec(userAgent)
+    if (match) {
+      return { name: list[i][0], version: match[1].replace(/_/g, '.') || null }
+    }
+  }
+  return { name: null, version: null }
+}
+
+function getDeviceType (userAgent) {
+  if (/\biPad\b|\bTablet\b|\bAndroid(?!.*\bMobile\b)/i.test(userAgent)) {
+    return 'tablet'
+  }
+  return /\bMobi|\biPhone\b|\biPod\b|\bWindows Phone\b/i.test(userAgent)
+    ? 'mobile'
+    : 'desktop'
+}
+
+/**
+ * Parses a user agent string into
+ * {browser, browserVersion, os, osVersion, deviceType}
+ * Names and versions are null when unknown
+ */
+function parseUserAgent (userAgent) {
+  userAgent = userAgent || ''
+  var browser = matchFirst(BROWSERS, userAgent)
+  var os = matchFirst(OPERATING_SYSTEMS, userAgent)
+
+  return {
+    browser: browser.name,
+    browserVersion: browser.version,
+    os: os.name,
+    osVersion: os.name === 'Windows'
+      ? WINDOWS_VERSIONS[os.version] || os.version
+      : os.version,
+    deviceType: getDeviceType(userAgent)
+  }
+}
+
+// Returns the most specific brand, skipping the GREASE brands like
+// "Not A;Brand" and the Chromium engine when another brand is listed
+function findBrand (brands) {
+  var found = null
+  _.forEach(brands, function (brand) {
+    if (/not.?a.?brand/i.test(brand.brand)) return
+    if (!found || found.brand === 'Chromium') {
+      found = brand
+    }
+  })
+  return found
+}
+
+function getWindowsVersion (platformVersion) {
+  var major = parseInt(platformVersion, 10)
+  return major >= 13 ? '11' : major > 0 ? '10' : null
+}
+
+/**
+ * Completes a parsed user agent with navigator.userAgentData, and with the
+ * high entropy values when given
+ * The user agent string of Chromium browsers is frozen, so client hints win
+ */
+function applyClientHints (device, userAgentData, highEntropyValues) {
+  var brand = findBrand((highEntropyValues && highEntropyValues.fullVersionList) || userAgentData.brands)
+  var platform = userAgentData.platform
+  var platformVersion = highEntropyValues && highEntropyValues.platformVersion
+  var result = _.assign({}, device, {
+    deviceType: userAgentData.mobile
+      ? 'mobile'
+      : device.deviceType === 'tablet' ? 'tablet' : 'desktop'
+  })
+
+  if (brand) {
+    result.browser = BRAND_NAMES[brand.brand] || brand.brand
+    result.browserVersion = brand.version
+  }
+
+  if (platform) {
+    result.os = PLATFORM_NAMES[platform] || platform
+    if (platformVersion) {
+      result.osVersion = result.os === 'Windows'
+        ? getWindowsVersion(platformVersion) || device.osVersion
+        : platformVersion
+    } else if (result.os !== device.os) {
+      result.osVersion = null
+    }
+  }
+
+  return result
+}
+
+/**
+ * Detects the browser, operating system and device type of navigator
+ * Returns the values known right away, then calls onHighEntropyValues with
+ * the completed values when highEntropy is set and the browser allows it
+ */
+function detectDevice (navigator, highEntropy, onHighEntropyValues) {
+  var device = parseUserAgent(navigator && navigator.userAgent)
+  var userAgentData = navigator && navigator.userAgentData
+  if (!userAgentData) {
+    return device
+  }
+
+  if (highEntropy && _.isFunction(userAgentData.getHighEntropyValues)) {
+    userAgentData.getHighEntropyValues(HIGH_ENTROPY_HINTS).then(function (values) {
+      onHighEntropyValues(applyClientHints(device, userAgentData, values))
+    })['catch'](_.noop)
+  }
+
+  return applyClientHints(device, userAgentData, null)
+}
+
+module.exports = {
+  applyClientHints: applyClientHints,
+  detectDevice: detectDevice,
+  parseUserAgent: parseUserAgent
+}
@@ -18,10 +18,102 @@ var FETCH_CREDENTIALS = {
 }
 var DEFAULT_CREDENTIALS = FETCH_CREDENTIALS.include
 
+var DEFAULT_RETRY = {
+  maxAttempts: 1,
+  baseDelay: 1000,
+  maxDelay: 30000
+}
+
 function isValidStatus (status) {
   return (status >= OK_STATUS && status < 300) || status === NOT_MODIFIED
 }
 
+function createStatusError (message, status, retryAfter) {
+  var error = new Error(message)
+  error.status = status
+  error.retryAfter = retryAfter || null
+  return error
+}
+
+function responseError (response) {
+  return createStatusError(
+    response.statusText,
+    response.status,
+    response.headers && response.headers.get('Retry-After')
+  )
+}
+
+// Network errors and timeouts carry no status and are always retried
+// Client errors are never retried, except for timeouts and rate limiting
+// Errors raised by the SDK itself can set retryable explicitly
+function isRetryableError (error) {
+  if (error && typeof error.retryable === 'boolean') {
+    return error.retryable
+  }
+
+  var status = error && error.status
+  if (!status) {
+    return true
+  }
+
+  return status === 408 || status === 429 || status >= 500
+}
+
+// Requests sent with sendBeacon succeed with {beacon: true}, which only
+// tells that the browser took the request, not that the endpoint accepted it
+function isConfirmed (response) {
+  return !(response && response.beacon)
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter (value) {
+  if (!value) {
+    return null
+  }
+
+  var seconds = Number(value)
+  if (!isNaN(seconds)) {
+    return seconds * 1000
+  }
+
+  var date = Date.parse(value)
+  return isNaN(date) ? null : Math.max(date - new Date().getTime(), 0)
+}
+
+function getRetryDelay (policy, attempt, error) {
+  if (error && (error.status === 429 || error.status === 503)) {
+    var retryAfter = parseRetryAfter(error.retryAfter)
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxDelay)
+    }
+  }
+
+  // Exponential backoff with jitter on the upper half of the window
+  var delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1))
+  return delay / 2 + Math.random() * delay / 2
+}
+
+function retry (send, retryPolicy) {
+  var policy = assign({}, DEFAULT_RETRY, retryPolicy)
+  var attempt = 0
+
+  return new Promise(function (resolve, reject) {
+    // send may throw or return a value instead of a promise
+    function tryRequest () {
+      attempt++
+      Promise.resolve().then(send).then(resolve, function (error) {
+        if (attempt >= policy.maxAttempts || !isRetryableError(error)) {
+          reject(error)
+        } else {
+          setTimeout(tryRequest, getRetryDelay(policy, attempt, error))
+        }
+      })
+    }
+
+    tryRequest()
+  })
+}
+
 function toJSON (text) {
   var result
   try {
@@ -47,6 +139,10 @@ function isFetchSupported () {
   return 'fetch' in win
 }
 
+function isBeaconSupported () {
+  return Boolean(win.navigator && typeof win.navigator.sendBeacon === 'function')
+}
+
 function isDefaultHeadersIgnored (options) {
   options = options || {}
 
@@ -59,6 +155,13 @@ function getCredentials (options) {
   return FETCH_CREDENTIALS[options.credentials] || DEFAULT_CREDENTIALS
 }
 
+// options.onDate receives the Date header of successful responses
+function notifyDate (options, date) {
+  if (options && options.onDate && date) {
+    options.onDate(date)
+  }
+}
+
 // Fetch API
 function postWithFetch (url, body, options) {
   options = options || {}
@@ -71,8 +174,9 @@ function postWithFetch (url, body, options) {
     body: JSON.stringify(body)
   }).then(function (response) {
     if (!response.ok) {
-      throw Error(response.statusText)
+      throw responseError(response)
     }
+    notifyDate(options, response.headers && response.headers.get('Date'))
     return response.json()
   })
 }
@@ -87,18 +191,24 @@ function getWithFetch (url, options) {
   })
     .then(function (response) {
       if (!response.ok) {
-        throw Error(response.statusText)
+        throw responseError(response)
       }
+      notifyDate(options, response.headers && response.headers.get('Date'))
       return response.json()
     })
 }
 
-function registerXhrEvents (xhr, resolve, reject) {
+function registerXhrEvents (xhr, options, resolve, reject) {
   xhr.onload = function onload () {
     if (isValidStatus(xhr.status)) {
+      notifyDate(options, xhr.getResponseHeader('Date'))
       resolve(toJSON(xhr.responseText))
     } else {
-      reject(new Error('Internal XMLHttpRequest error'))
+      reject(createStatusError(
+        'Internal XMLHttpRequest error',
+        xhr.status,
+        xhr.getResponseHeader('Retry-After')
+      ))
     }
   }
 
@@ -124,28 +234,62 @@ function createXHR (method, url, options) {
   return xhr
 }
 
+function postOnce (url, body, options) {
+  if (isFetchSupported()) {
+    return postWithFetch(url, body, options)
+  }
+
+  return new Promise(function (resolve, reject) {
+    var xhr = createXHR('POST', url, options)
+    registerXhrEvents(xhr, options, resolve, reject)
+    xhr.send(JSON.stringify(body))
+  })
+}
+
+function getOnce (url, options) {
+  if (isFetchSupported()) {
+    return getWithFetch(url, options)
+  }
+
+  return new Promise(function (resolve, reject) {
+    var xhr = createXHR('GET', url, options)
+    registerXhrEvents(xhr, options, resolve, reject)
+    xhr.send(null)
+  })
+}
+
+// options.retry ({maxAttempts, baseDelay, maxDelay}) enables retrying
+// failed requests, by default a request is only attempted once
+// options.onDate (Function) receives the Date header of the response
 module.exports = {
   post: function post (url, body, options) {
-    if (isFetchSupported()) {
-      return postWithFetch(url, body, options)
+    return retry(function () {
+      return postOnce(url, body, options)
+    }, options && options.retry)
+  },
+
+  // sendBeacon can not set headers, the body is sent as text/plain
+  // Returns false when the browser refused to queue the request
+  beacon: function beacon (url, body) {
+    if (!isBeaconSupported()) {
+      return false
     }
 
-    return new Promise(function (resolve, reject) {
-      var xhr = createXHR('POST', url, options)
-      registerXhrEvents(xhr, resolve, reject)
-      xhr.send(JSON.stringify(body))
-    })
+    try {
+      return win.navigator.sendBeacon(url, JSON.stringify(body))
+    } catch (e) {
+      return false
+    }
   },
 
   get: function get (url, options) {
-    if (isFetchSupported()) {
-      return getWithFetch(url, options)
-    }
+    return retry(function () {
+      return getOnce(url, options)
+    }, options && options.retry)
+  },
 
-    return new Promise(function (resolve, reject) {
-      var xhr = createXHR('GET', url, options)
-      registerXhrEvents(xhr, resolve, reject)
-      xhr.send(null)
-    })
-  }
+  isConfirmed: isConfirmed,
+  isRetryableError: isRetryableError,
+  responseError: responseError,
+  retry: retry
 }
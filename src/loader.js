@@ -6,35 +6,65 @@
     }
     c[n].clients = []
 
-    var action = function (method) {
+    // Calls of promise methods return a promise that settles once the SDK
+    // has loaded and replayed them
+    var action = function (method, returnsPromise) {
       return function () {
+        var args = Array.prototype.slice.call(arguments)
         this['_' + method] = this['_' + method] || []
-        this['_' + method].push(Array.prototype.slice.call(arguments))
-        return this
+        this['_' + method].push(args)
+        if (!returnsPromise || !c.Promise) {
+          return this
+        }
+        var promise = new c.Promise(function (resolve, reject) {
+          args.resolve = resolve
+          args.reject = reject
+        })
+        promise['catch'](function () {})
+        return promise
       }
     }
 
     var methods = [
-      'addRecord',
       'blockEvents',
-      'fetchServerCookie',
-      'fetchGlobalID',
-      'fetchUserSegments',
+      'defineSchema',
       'resetUUID',
+      'off',
+      'on',
       'ready',
       'setSignedMode',
       'setAnonymousMode',
       'set',
-      'trackEvent',
-      'trackPageview',
       'trackClicks',
-      'unblockEvents'
+      'trackEngagement',
+      'trackForms',
+      'trackPerformance',
+      'trackErrors',
+      'trackImpressions',
+      'trackPageviewsAutomatically',
+      'trackScrollDepth',
+      'unblockEvents',
+      'use'
     ]
     for (var i = 0; i < methods.length; i++) {
       var method = methods[i]
       c[n].prototype[method] = action(method)
     }
 
+    var promiseMethods = [
+      'addRecord',
+      'fetchServerCookie',
+      'fetchGlobalID',
+      'fetchUserSegments',
+      'syncClock',
+      'trackEvent',
+      'trackPageview'
+    ]
+    for (var j = 0; j < promiseMethods.length; j++) {
+      var promiseMethod = promiseMethods[j]
+      c[n].prototype[promiseMethod] = action(promiseMethod, true)
+    }
+
     var s = document.createElement('script')
     s.type = 'text/javascript'
     s.async = !0
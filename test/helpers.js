@@ -1,3 +1,7 @@
+var simple = require('simple-mock')
+var Treasure = require('../lib/treasure')
+var _ = require('../lib/utils/lodash')
+
 function leafChild (el) {
   var child = el.children && el.children[0]
   if (child && child.nodeType === 1) {
@@ -15,7 +19,27 @@ function createTestElement (name, parentNode) {
   return el
 }
 
+// Creates an instance with the test database and cookie domain, options
+// are added to the configuration
+// stubbedMethod, like _sendRecord or _postRecord, is replaced by a spy that
+// sends nothing
+function createTreasure (options, stubbedMethod) {
+  var treasure = new Treasure(_.assign({
+    database: 'database',
+    writeKey: 'writeKey',
+    logging: false,
+    storage: {
+      domain: 'localhost'
+    }
+  }, options))
+  if (stubbedMethod) {
+    simple.mock(treasure, stubbedMethod).callFn(_.noop)
+  }
+  return treasure
+}
+
 module.exports = {
   createTestElement: createTestElement,
+  createTreasure: createTreasure,
   leafChild: leafChild
 }
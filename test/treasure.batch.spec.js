@@ -0,0 +1,162 @@
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var helpers = require('./helpers')
+var _ = require('../lib/utils/lodash')
+
+describe('Treasure Batch', function () {
+  var treasure
+
+  function createTreasure (batch, options) {
+    treasure = helpers.createTreasure(_.assign({ batch: batch }, options), '_postRecord')
+    return treasure
+  }
+
+  afterEach(function () {
+    treasure.flushBatch()
+    simple.restore()
+  })
+
+  it('adds flushBatch method', function () {
+    createTreasure()
+    expect(typeof treasure.flushBatch === 'function').ok()
+  })
+
+  it('posts every record on its own by default', function () {
+    createTreasure()
+    treasure.addRecord('table', { foo: 'foo' })
+    treasure.addRecord('table', { foo: 'bar' })
+    expect(treasure._postRecord.callCount).to.be(2)
+  })
+
+  it('buffers records until maxRecords is reached', function () {
+    createTreasure({ maxRecords: 3 })
+    treasure.addRecord('table', { index: 1 })
+    treasure.addRecord('table', { index: 2 })
+    expect(treasure._postRecord.callCount).to.be(0)
+
+    treasure.addRecord('table', { index: 3 })
+    expect(treasure._postRecord.callCount).to.be(1)
+
+    var request = treasure._postRecord.lastCall.args[0]
+    expect(request.url).to.be('https://us01.records.in.treasuredata.com/database/table')
+    expect(request.record.events.length).to.be(3)
+    expect(request.record.events[2].index).to.be(3)
+  })
+
+  it('sends every buffer to the region of its endpoint', function () {
+    createTreasure({ maxRecords: 1 }, {
+      host: 'in.eu01.treasuredata.com',
+      destinations: [{ database: 'japan', writeKey: 'japanKey', host: 'in.treasuredata.co.jp' }]
+    })
+    treasure.addRecord('table', { index: 1 })
+
+    var urls = treasure._postRecord.calls.map(function (call) {
+      return call.args[0].url
+    })
+    expect(urls).to.eql([
+      'https://eu01.records.in.treasuredata.com/database/table',
+      'https://ap01.records.in.treasuredata.com/japan/table'
+    ])
+  })
+
+  it('needs an endpoint for hosts outside of the known regions', function () {
+    expect(function () {
+      createTreasure(true, { host: 'td.example.com' })
+    }).to.throwException(/Batch endpoint must be set for td.example.com/)
+
+    createTreasure({ endpoint: 'https://records.example.com/', maxRecords: 1 }, { host: 'td.example.com' })
+    treasure.addRecord('table', { index: 1 })
+    expect(treasure._postRecord.lastCall.args[0].url).to.be('https://records.example.com/database/table')
+  })
+
+  it('keeps a separate buffer per table', function () {
+    createTreasure({ maxRecords: 2 })
+    treasure.addRecord('table', { index: 1 })
+    treasure.addRecord('other', { index: 2 })
+    expect(treasure._postRecord.callCount).to.be(0)
+
+    treasure.flushBatch()
+    expect(treasure._postRecord.callCount).to.be(2)
+  })
+
+  it('flushes once maxBytes is reached', function () {
+    createTreasure({ maxBytes: 10 })
+    treasure.addRecord('table', { foo: 'a long enough value' })
+    expect(treasure._postRecord.callCount).to.be(1)
+  })
+
+  it('flushes after the interval', function (done) {
+    createTreasure({ interval: 10 })
+    treasure.addRecord('table', { foo: 'foo' })
+    setTimeout(function () {
+      expect(treasure._postRecord.callCount).to.be(1)
+      done()
+    }, 50)
+  })
+
+  it('resolves the callbacks of every record', function () {
+    var successes = 0
+    var errors = 0
+    function onSuccess () { successes++ }
+    function onError () { errors++ }
+
+    createTreasure({ maxRecords: 2 })
+    treasure.addRecord('table', { index: 1 }, onSuccess, onError)
+    treasure.addRecord('table', { index: 2 }, onSuccess, onError)
+    treasure._postRecord.lastCall.args[1]({})
+    expect(successes).to.be(2)
+
+    treasure.addRecord('table', { index: 3 }, onSuccess, onError)
+    treasure.addRecord('table', { index: 4 }, onSuccess, onError)
+    treasure._postRecord.lastCall.args[2](new Error('failed'))
+    expect(errors).to.be(2)
+  })
+
+  it('sends the buffer to the records ingest API', function () {
+    var response = {
+      ok: true,
+      status: 200,
+      headers: { get: function () { return null } },
+      json: function () { return Promise.resolve({}) }
+    }
+    createTreasure({ maxRecords: 2 })
+    simple.restore()
+    simple.mock(window, 'fetch').resolveWith(response)
+
+    treasure.addRecord('table', { index: 1, time: 1500000000 })
+    return treasure.addRecord('table', { index: 2 }).then(function () {
+      expect(window.fetch.callCount).to.be(1)
+      var url = window.fetch.lastCall.args[0]
+      var options = window.fetch.lastCall.args[1]
+      expect(url.split('?')[0]).to.be('https://us01.records.in.treasuredata.com/database/table')
+      expect(url).not.to.contain('time=')
+      expect(options.headers.Authorization).to.be('TD1 writeKey')
+      expect(options.headers['Content-Type']).to.be('application/vnd.treasuredata.v1+json')
+
+      var body = JSON.parse(options.body)
+      expect(body.events.length).to.be(2)
+      expect(body.events[0].index).to.be(1)
+      expect(body.events[0].time).to.be(1500000000)
+      expect(body.events[1].time).to.be(undefined)
+    })
+  })
+
+  it('flushes with keepalive when the page is hidden', function () {
+    var response = {
+      ok: true,
+      status: 200,
+      headers: { get: function () { return null } }
+    }
+    createTreasure(true)
+    simple.restore()
+    simple.mock(window, 'fetch').resolveWith(response)
+    simple.mock(treasure, '_isPageHidden').returnWith(true)
+
+    var sent = treasure.addRecord('table', { index: 1 })
+    treasure.flushBatch()
+    return sent.then(function () {
+      expect(window.fetch.callCount).to.be(1)
+      expect(window.fetch.lastCall.args[1].keepalive).to.be(true)
+    })
+  })
+})
@@ -0,0 +1,138 @@
+var window = require('global/window')
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var helpers = require('./helpers')
+var cookie = require('../lib/vendor/js-cookies')
+var SIGNEDMODECOOKIE = require('../lib/record').SIGNEDMODECOOKIE
+
+describe('Treasure Campaign', function () {
+  var treasure, initialUrl
+
+  function createTreasure (campaign) {
+    treasure = helpers.createTreasure({ campaign: campaign }, '_sendRecord')
+    return treasure
+  }
+
+  function lastRecord () {
+    return treasure._sendRecord.lastCall.args[0].record
+  }
+
+  function land (search) {
+    window.history.replaceState(null, '', search)
+  }
+
+  function expireTouches (milliseconds) {
+    var state = JSON.parse(cookie.getItem('_td_cmp'))
+    state.first.expiresAt -= milliseconds
+    state.last.expiresAt -= milliseconds
+    cookie.setItem('_td_cmp', JSON.stringify(state))
+  }
+
+  beforeEach(function () {
+    initialUrl = window.location.href
+  })
+
+  afterEach(function () {
+    window.history.replaceState(null, '', initialUrl)
+    simple.restore()
+    cookie.removeItem('_td_cmp')
+    cookie.removeItem(SIGNEDMODECOOKIE)
+  })
+
+  it('is disabled by default', function () {
+    land('?utm_source=news')
+    createTreasure()
+    treasure.trackEvent('events')
+    expect(treasure.getCampaignTouches()).to.be(null)
+    expect(lastRecord()).not.to.have.property('td_utm_source')
+  })
+
+  it('adds the landing campaign as first and last touch', function () {
+    land('?utm_source=news&utm_medium=email&gclid=abc+1')
+    createTreasure(true)
+    treasure.trackEvent('events')
+
+    var record = lastRecord()
+    expect(record.td_utm_source).to.be('news')
+    expect(record.td_utm_medium).to.be('email')
+    expect(record.td_gclid).to.be('abc 1')
+    expect(record.td_first_utm_source).to.be('news')
+    expect(record).not.to.have.property('td_utm_campaign')
+  })
+
+  it('keeps the touches after the landing page', function () {
+    createTreasure(true)
+    treasure.setSignedMode()
+    land('?utm_source=news')
+    treasure.trackEvent('events')
+    land('?page=2')
+
+    createTreasure(true)
+    treasure.trackEvent('events')
+    expect(lastRecord().td_utm_source).to.be('news')
+    expect(treasure.getCampaignTouches()).to.eql({
+      firstTouch: { utm_source: 'news' },
+      lastTouch: { utm_source: 'news' }
+    })
+  })
+
+  it('only replaces the last touch on a new landing', function () {
+    createTreasure(true)
+    land('?utm_source=news')
+    treasure.trackEvent('events')
+    land('?utm_source=ads&utm_campaign=sale')
+    treasure.trackEvent('events')
+
+    var record = lastRecord()
+    expect(record.td_utm_source).to.be('ads')
+    expect(record.td_utm_campaign).to.be('sale')
+    expect(record.td_first_utm_source).to.be('news')
+    expect(record).not.to.have.property('td_first_utm_campaign')
+  })
+
+  it('drops expired touches', function () {
+    createTreasure(true)
+    treasure.setSignedMode()
+    land('?utm_source=news')
+    treasure.trackEvent('events')
+    land('?page=2')
+
+    expireTouches(2592000 * 1000)
+    treasure.trackEvent('events')
+    expect(lastRecord()).not.to.have.property('td_utm_source')
+    expect(lastRecord().td_first_utm_source).to.be('news')
+  })
+
+  it('lets you configure the parameters', function () {
+    land('?utm_source=news&ref=partner')
+    createTreasure({ parameters: ['ref'] })
+    treasure.trackEvent('events')
+
+    expect(lastRecord().td_ref).to.be('partner')
+    expect(lastRecord()).not.to.have.property('td_utm_source')
+  })
+
+  it('matches parameter names literally', function () {
+    land('?refXid=other&ref.id=partner&utm_source%5B%5D=news')
+    createTreasure({ parameters: ['ref.id', 'utm_source[]', 'utm_(medium'] })
+    treasure.trackEvent('events')
+
+    expect(lastRecord()['td_ref.id']).to.be('partner')
+    expect(lastRecord()['td_utm_source[]']).to.be('news')
+    expect(lastRecord()).not.to.have.property('td_utm_(medium')
+  })
+
+  it('only keeps the touches in a cookie in signed mode', function () {
+    land('?utm_source=news')
+    createTreasure(true)
+    treasure.trackEvent('events')
+    expect(cookie.getItem('_td_cmp')).to.be(null)
+
+    treasure.setSignedMode()
+    treasure.trackEvent('events')
+    expect(cookie.getItem('_td_cmp')).to.be.a('string')
+
+    treasure.setAnonymousMode()
+    expect(cookie.getItem('_td_cmp')).to.be(null)
+  })
+})
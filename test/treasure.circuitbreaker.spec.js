@@ -0,0 +1,246 @@
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var createTreasure = require('./helpers').createTreasure
+var _ = require('../lib/utils/lodash')
+var api = require('../lib/utils/xhr')
+
+describe('Treasure Circuit Breaker', function () {
+  var treasure
+  var storageKey = '__td_circuit_database_in.treasuredata.com'
+  var destinationKey = '__td_circuit_database_in.eu01.treasuredata.com'
+  var queueKey = '__td_queue_database'
+
+  function failingTransport () {
+    return {
+      send: simple.spy(function () {
+        return Promise.reject(new Error('network error'))
+      })
+    }
+  }
+
+  function nextTick () {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 0)
+    })
+  }
+
+  beforeEach(function () {
+    localStorage.removeItem(storageKey)
+    localStorage.removeItem(destinationKey)
+    localStorage.removeItem(queueKey)
+  })
+
+  afterEach(function () {
+    simple.restore()
+    localStorage.removeItem(storageKey)
+    localStorage.removeItem(destinationKey)
+    localStorage.removeItem(queueKey)
+  })
+
+  it('is disabled by default', function () {
+    treasure = createTreasure()
+    expect(treasure.client.circuitBreaker).to.be(false)
+    expect(treasure._circuitBreakers).to.be(null)
+  })
+
+  it('applies defaults', function () {
+    treasure = createTreasure({ circuitBreaker: true })
+    expect(treasure.client.circuitBreaker).to.eql({
+      threshold: 5,
+      cooldown: 30000,
+      whenOpen: 'queue',
+      storageKey: '__td_circuit_database'
+    })
+  })
+
+  it('stops sending after consecutive failures', function () {
+    var transport = failingTransport()
+    treasure = createTreasure({
+      transport: transport,
+      circuitBreaker: { threshold: 2 }
+    })
+
+    return treasure.addRecord('table', { foo: 'bar' })
+      .catch(function () {
+        return treasure.addRecord('table', { foo: 'bar' })
+      })
+      .catch(function () {
+        return treasure.addRecord('table', { foo: 'bar' })
+      })
+      .then(function () {
+        throw new Error('should not resolve')
+      }, function (err) {
+        expect(err.message).to.be('Circuit breaker is open')
+        expect(transport.send.callCount).to.be(2)
+      })
+  })
+
+  it('opens and logs once when requests in flight fail', function () {
+    var transport = failingTransport()
+    treasure = createTreasure({
+      transport: transport,
+      circuitBreaker: { threshold: 2 }
+    })
+    simple.mock(treasure, 'log')
+
+    var records = [
+      treasure.addRecord('table', { foo: 'bar' }),
+      treasure.addRecord('table', { foo: 'bar' }),
+      treasure.addRecord('table', { foo: 'bar' })
+    ]
+
+    return Promise.all(records.map(function (record) {
+      return record.catch(_.noop)
+    })).then(function () {
+      var state = JSON.parse(localStorage.getItem(storageKey))
+      expect(transport.send.callCount).to.be(3)
+      expect(state.failures).to.be(2)
+      expect(treasure.log.callCount).to.be(1)
+    })
+  })
+
+  it('reopens when the probe fails', function () {
+    var openedAt = new Date().getTime() - 60000
+    localStorage.setItem(storageKey, JSON.stringify({
+      failures: 5,
+      openedAt: openedAt
+    }))
+
+    treasure = createTreasure({ transport: failingTransport(), circuitBreaker: true })
+    simple.mock(treasure, 'log')
+
+    return treasure.addRecord('table', { foo: 'bar' }).then(function () {
+      throw new Error('should not resolve')
+    }, function () {
+      var state = JSON.parse(localStorage.getItem(storageKey))
+      expect(state.openedAt).to.be.above(openedAt)
+      expect(state.probedAt).to.be(null)
+      expect(treasure.log.callCount).to.be(1)
+    })
+  })
+
+  it('keeps a circuit per host', function () {
+    var transport = {
+      send: simple.spy(function (request) {
+        return request.url.indexOf('eu01') === -1
+          ? Promise.resolve()
+          : Promise.reject(new Error('network error'))
+      })
+    }
+    treasure = createTreasure({
+      transport: transport,
+      circuitBreaker: { threshold: 2 },
+      destinations: [{ database: 'europe', writeKey: 'europeKey', host: 'in.eu01.treasuredata.com' }]
+    })
+
+    function send () {
+      return treasure.addRecord('table', { foo: 'bar' }).then(nextTick)
+    }
+
+    return send().then(send).then(send).then(function () {
+      var urls = transport.send.calls.map(function (call) {
+        return call.args[0].url
+      })
+      var europe = urls.filter(function (url) {
+        return url.indexOf('eu01') !== -1
+      })
+      expect(urls.length - europe.length).to.be(3)
+      expect(europe.length).to.be(2)
+      expect(JSON.parse(localStorage.getItem(destinationKey)).failures).to.be(2)
+      expect(JSON.parse(localStorage.getItem(storageKey)).failures).to.be(0)
+    })
+  })
+
+  it('shares its state across instances', function () {
+    localStorage.setItem(storageKey, JSON.stringify({
+      failures: 5,
+      openedAt: new Date().getTime()
+    }))
+
+    var transport = failingTransport()
+    treasure = createTreasure({ transport: transport, circuitBreaker: true })
+
+    return treasure.addRecord('table', { foo: 'bar' }).then(function () {
+      throw new Error('should not resolve')
+    }, function () {
+      expect(transport.send.callCount).to.be(0)
+    })
+  })
+
+  it('sends a single probe once the cooldown is over and closes on success', function () {
+    localStorage.setItem(storageKey, JSON.stringify({
+      failures: 5,
+      openedAt: new Date().getTime() - 60000
+    }))
+
+    var transport = {
+      send: simple.spy(function () {
+        return Promise.resolve()
+      })
+    }
+    treasure = createTreasure({ transport: transport, circuitBreaker: true })
+
+    var probe = treasure.addRecord('table', { foo: 'bar' })
+    var blocked = treasure.addRecord('table', { foo: 'baz' })
+
+    return blocked.then(function () {
+      throw new Error('should not resolve')
+    }, function (err) {
+      expect(err.message).to.be('Circuit breaker is open')
+      return probe
+    }).then(function () {
+      expect(transport.send.callCount).to.be(1)
+      expect(JSON.parse(localStorage.getItem(storageKey)).failures).to.be(0)
+    })
+  })
+
+  it('does not close when the probe is sent with sendBeacon', function () {
+    localStorage.setItem(storageKey, JSON.stringify({
+      failures: 5,
+      openedAt: new Date().getTime() - 60000
+    }))
+
+    treasure = createTreasure({ circuitBreaker: true })
+    simple.mock(treasure, '_isPageHidden').returnWith(true)
+    simple.mock(api, 'beacon').returnWith(true)
+
+    return treasure.addRecord('table', { foo: 'bar' }).then(function () {
+      expect(api.beacon.callCount).to.be(1)
+      expect(JSON.parse(localStorage.getItem(storageKey)).failures).to.be(5)
+    })
+  })
+
+  it('keeps records in the queue while open', function () {
+    localStorage.setItem(storageKey, JSON.stringify({
+      failures: 5,
+      openedAt: new Date().getTime()
+    }))
+
+    treasure = createTreasure({
+      transport: failingTransport(),
+      circuitBreaker: true,
+      queue: true
+    })
+
+    return treasure.addRecord('table', { foo: 'bar' }).catch(nextTick).then(function () {
+      expect(JSON.parse(localStorage.getItem(queueKey)).length).to.be(1)
+    })
+  })
+
+  it('drops queued records while open when whenOpen is drop', function () {
+    localStorage.setItem(storageKey, JSON.stringify({
+      failures: 5,
+      openedAt: new Date().getTime()
+    }))
+
+    treasure = createTreasure({
+      transport: failingTransport(),
+      circuitBreaker: { whenOpen: 'drop' },
+      queue: true
+    })
+
+    return treasure.addRecord('table', { foo: 'bar' }).catch(nextTick).then(function () {
+      expect(localStorage.getItem(queueKey)).to.be(null)
+    })
+  })
+})
@@ -198,6 +198,48 @@ describe('Treasure Client', function () {
       })
     })
 
+    describe('validates transport', function () {
+      it('should error if transport has no send method', function () {
+        configuration.transport = {}
+        expect(function () {
+          (treasure = new Treasure(configuration))
+        }).to.throwException()
+      })
+
+      it('should set the transport', function () {
+        configuration.transport = { send: function () {} }
+        treasure = new Treasure(configuration)
+        expect(treasure.client.transport).to.be(configuration.transport)
+      })
+    })
+
+    describe('validates destinations', function () {
+      it('should error if a destination has no writeKey', function () {
+        configuration.destinations = [{ database: 'other' }]
+        expect(function () {
+          (treasure = new Treasure(configuration))
+        }).to.throwException()
+      })
+
+      it('should error if a destination database is invalid', function () {
+        configuration.destinations = [{ database: 'Other-Database', writeKey: 'otherKey' }]
+        expect(function () {
+          (treasure = new Treasure(configuration))
+        }).to.throwException()
+      })
+
+      it('should set the destination endpoint from its host', function () {
+        configuration.destinations = [{ database: 'other', writeKey: 'otherKey', host: 'eu01.records.in.treasuredata.com' }]
+        treasure = new Treasure(configuration)
+        expect(treasure.client.destinations[0].endpoint).to.be('https://eu01.records.in.treasuredata.com' + treasure.client.pathname)
+      })
+
+      it('should default to no extra destination', function () {
+        treasure = new Treasure(configuration)
+        expect(treasure.client.destinations).to.eql([])
+      })
+    })
+
     describe('cookies', function () {
       it('should expose cookies.getItem', function () {
         treasure = new Treasure(configuration)
@@ -0,0 +1,104 @@
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var helpers = require('./helpers')
+var api = require('../lib/utils/xhr')
+
+describe('Treasure Clock', function () {
+  var treasure
+  var storageKey = '__td_clock_offset'
+  var hour = 3600 * 1000
+
+  function createTreasure (clockSkew) {
+    treasure = helpers.createTreasure({ clockSkew: clockSkew }, '_sendRecord')
+    return treasure
+  }
+
+  function sentRecord () {
+    return treasure._sendRecord.lastCall.args[0].record
+  }
+
+  beforeEach(function () {
+    localStorage.removeItem(storageKey)
+  })
+
+  afterEach(function () {
+    simple.restore()
+    localStorage.removeItem(storageKey)
+  })
+
+  it('is disabled by default', function () {
+    createTreasure()
+    treasure.addRecord('table', {})
+    expect(treasure.client.clockSkew).to.be(false)
+    expect(sentRecord()).not.to.have.property('td_client_time')
+  })
+
+  it('adds td_client_time without time until the offset is known', function () {
+    createTreasure(true)
+    treasure.addRecord('table', {})
+    expect(sentRecord().td_client_time).to.be(Math.floor(new Date().getTime() / 1000))
+    expect(sentRecord()).not.to.have.property('time')
+  })
+
+  it('corrects time with the offset from the Date header', function () {
+    createTreasure(true)
+    treasure._readServerDate(new Date(new Date().getTime() + hour).toUTCString())
+    treasure.addRecord('table', {})
+
+    var record = sentRecord()
+    expect(Math.abs(record.time - record.td_client_time - 3600)).to.be.lessThan(2)
+  })
+
+  it('keeps the time set on the record', function () {
+    createTreasure(true)
+    treasure._updateClockOffset(new Date().getTime() + hour)
+    treasure.addRecord('table', { time: 1000 })
+    expect(sentRecord().time).to.be(1000)
+  })
+
+  it('reuses the offset stored by a previous page', function () {
+    localStorage.setItem(storageKey, JSON.stringify({
+      offset: -hour,
+      updatedAt: new Date().getTime()
+    }))
+    createTreasure(true)
+    expect(treasure._clockOffset).to.be(-hour)
+  })
+
+  it('ignores invalid Date headers', function () {
+    createTreasure(true)
+    expect(treasure._readServerDate('not a date')).to.be(false)
+    expect(treasure._clockOffset).to.be(null)
+  })
+
+  describe('#syncClock', function () {
+    it('requests the server time from the endpoint', function () {
+      simple.mock(api, 'get').resolveWith({ time: new Date().getTime() - hour })
+      createTreasure({ endpoint: 'https://example.com/time' })
+
+      return treasure.syncClock().then(function (offset) {
+        expect(api.get.lastCall.arg).to.be('https://example.com/time')
+        expect(Math.abs(offset + hour)).to.be.lessThan(1000)
+      })
+    })
+
+    it('falls back to the Date header of the endpoint', function () {
+      simple.mock(api, 'get').callFn(function (url, options) {
+        options.onDate(new Date(new Date().getTime() + hour).toUTCString())
+        return Promise.resolve({})
+      })
+      createTreasure({ endpoint: 'https://example.com/time' })
+
+      return treasure.syncClock().then(function (offset) {
+        expect(Math.abs(offset - hour)).to.be.lessThan(2000)
+      })
+    })
+
+    it('throws without an endpoint', function () {
+      createTreasure(true)
+      expect(function () {
+        treasure.syncClock()
+      }).to.throwException()
+    })
+  })
+})
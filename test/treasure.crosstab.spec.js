@@ -0,0 +1,220 @@
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var helpers = require('./helpers')
+var _ = require('../lib/utils/lodash')
+var cookie = require('../lib/vendor/js-cookies')
+var SIGNEDMODECOOKIE = require('../lib/record').SIGNEDMODECOOKIE
+
+describe('Treasure Cross Tab', function () {
+  var channelCount = 0
+  var channelName
+  var treasures
+
+  function createTreasure (crossTab, options) {
+    var treasure = helpers.createTreasure(_.assign({
+      crossTab: crossTab && _.assign({ channelName: channelName, claimDelay: 5 }, crossTab)
+    }, options))
+    treasures.push(treasure)
+    return treasure
+  }
+
+  function readLease () {
+    return JSON.parse(localStorage.getItem(channelName + '_leader'))
+  }
+
+  function wait () {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 20)
+    })
+  }
+
+  beforeEach(function () {
+    // Instances keep renewing their lease, each test uses its own channel
+    channelName = '__td_tabs_test_' + (++channelCount)
+    treasures = []
+  })
+
+  afterEach(function () {
+    _.forEach(treasures, function (treasure) {
+      treasure.closeCrossTab()
+    })
+    simple.restore()
+    localStorage.removeItem(channelName + '_leader')
+    cookie.removeItem(SIGNEDMODECOOKIE)
+  })
+
+  it('is disabled by default', function () {
+    var treasure = createTreasure(false)
+    expect(treasure.client.crossTab).to.be(false)
+    expect(treasure.isLeaderTab()).to.be(true)
+  })
+
+  it('elects the first tab as leader', function () {
+    var first = createTreasure({})
+    var second = createTreasure({})
+
+    expect(first.isLeaderTab()).to.be(false)
+    return wait().then(function () {
+      expect(first.isLeaderTab()).to.be(true)
+      expect(second.isLeaderTab()).to.be(false)
+      expect(readLease().tabId).to.be(first._tabId)
+    })
+  })
+
+  it('elects a single leader when tabs claim at the same time', function () {
+    var first = createTreasure({})
+    // The second tab read the lease before the claim of the first one
+    localStorage.removeItem(channelName + '_leader')
+    var second = createTreasure({})
+
+    return wait().then(function () {
+      expect(first.isLeaderTab()).to.be(false)
+      expect(second.isLeaderTab()).to.be(true)
+    })
+  })
+
+  it('takes over an expired leadership and flushes the queue', function () {
+    var first = createTreasure({})
+    var second = createTreasure({})
+    simple.mock(second, 'flushQueue')
+
+    return wait().then(function () {
+      localStorage.setItem(channelName + '_leader', JSON.stringify({
+        tabId: first._tabId,
+        expiresAt: new Date().getTime() - 1
+      }))
+      second._electLeader()
+      return wait()
+    }).then(function () {
+      expect(second.isLeaderTab()).to.be(true)
+      expect(second.flushQueue.callCount).to.be(1)
+    })
+  })
+
+  it('hands the leadership over when closed', function () {
+    var first = createTreasure({})
+    var second = createTreasure({})
+
+    return wait().then(function () {
+      first.closeCrossTab()
+      expect(first._tabChannel).to.be(null)
+      expect(first.isLeaderTab()).to.be(true)
+      expect(readLease()).to.be(null)
+      return wait()
+    }).then(function () {
+      expect(second.isLeaderTab()).to.be(true)
+    })
+  })
+
+  it('fetches once for all tabs', function () {
+    var first = createTreasure({})
+    var second = createTreasure({})
+    var resolveFetch
+    var firstFetch = simple.spy(function () {
+      return new Promise(function (resolve) {
+        resolveFetch = resolve
+      })
+    })
+    var secondFetch = simple.spy(function () {
+      return Promise.resolve('other')
+    })
+
+    var fetched = first._fetchOnce('globalid', firstFetch)
+    var shared = second._fetchOnce('globalid', secondFetch)
+    resolveFetch('global')
+
+    return Promise.all([fetched, shared]).then(function (values) {
+      expect(values).to.eql(['global', 'global'])
+      expect(firstFetch.callCount).to.be(1)
+      expect(secondFetch.callCount).to.be(0)
+    })
+  })
+
+  it('fetches again when the fetching tab fails', function () {
+    var first = createTreasure({})
+    var second = createTreasure({})
+    var rejectFetch
+    var fetched = first._fetchOnce('globalid', function () {
+      return new Promise(function (resolve, reject) {
+        rejectFetch = reject
+      })
+    })
+    var shared = second._fetchOnce('globalid', function () {
+      return Promise.resolve('global')
+    })
+    rejectFetch(new Error('failed'))
+
+    return fetched.then(function () {
+      throw new Error('should not resolve')
+    }, function () {
+      return shared
+    }).then(function (value) {
+      expect(value).to.be('global')
+    })
+  })
+
+  it('only flushes the queue from the leader tab', function () {
+    createTreasure({})
+    var second = createTreasure({})
+    simple.mock(second, '_postRecord')
+
+    second.client.queue = { storageKey: '__td_queue_database', maxSize: 100, maxAge: 604800000 }
+    second.flushQueue()
+    expect(second._postRecord.callCount).to.be(0)
+  })
+
+  it('broadcasts mode changes', function () {
+    var treasure = createTreasure({})
+    simple.mock(treasure._tabChannel, 'post')
+
+    treasure.setSignedMode()
+    expect(treasure._tabChannel.post.lastCall.arg).to.eql({
+      type: 'mode',
+      signed: true,
+      clientId: treasure.client.track.uuid
+    })
+
+    treasure.setAnonymousMode(true)
+    expect(treasure._tabChannel.post.lastCall.arg).to.eql({
+      type: 'mode',
+      signed: false,
+      keepIdentifier: true
+    })
+  })
+
+  it('adopts the client id of a tab switching to Signed Mode', function () {
+    var treasure = createTreasure({})
+    var handler = simple.spy()
+    treasure.on('mode:signed', handler)
+
+    treasure._onTabMessage({ type: 'mode', signed: true, clientId: 'shared-client-id' })
+
+    expect(treasure.client.track.uuid).to.be('shared-client-id')
+    expect(handler.lastCall.arg).to.eql({ remote: true })
+  })
+
+  it('emits global ids and segments fetched by other tabs', function () {
+    var treasure = createTreasure({})
+    var onGlobalId = simple.spy()
+    var onSegments = simple.spy()
+    treasure.on('globalid:fetched', onGlobalId)
+    treasure.on('segments:fetched', onSegments)
+
+    treasure._onTabMessage({ type: 'globalid', globalId: 'global' })
+    treasure._onTabMessage({ type: 'segments', segments: [{ key: 'value' }] })
+
+    expect(onGlobalId.lastCall.arg).to.eql({ globalId: 'global', remote: true })
+    expect(onSegments.lastCall.arg).to.eql({ segments: [{ key: 'value' }], remote: true })
+  })
+
+  it('delivers messages to the other tabs', function (done) {
+    var first = createTreasure({})
+    var second = createTreasure({})
+    second.on('mode:anonymous', function (payload) {
+      expect(payload).to.eql({ keepIdentifier: true, remote: true })
+      done()
+    })
+
+    first.setAnonymousMode(true)
+  })
+})
@@ -0,0 +1,138 @@
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var createTreasure = require('./helpers').createTreasure
+var cookie = require('../lib/vendor/js-cookies')
+var SIGNEDMODECOOKIE = require('../lib/record').SIGNEDMODECOOKIE
+
+describe('Treasure Emitter', function () {
+  var treasure
+
+  beforeEach(function () {
+    treasure = createTreasure()
+  })
+
+  afterEach(function () {
+    simple.restore()
+    cookie.removeItem(SIGNEDMODECOOKIE)
+  })
+
+  it('adds on and off methods', function () {
+    expect(typeof treasure.on === 'function').ok()
+    expect(typeof treasure.off === 'function').ok()
+  })
+
+  it('calls handlers with the payload', function () {
+    var handler = simple.stub()
+    treasure.on('custom', handler)
+    treasure._emit('custom', { foo: 'bar' })
+    expect(handler.callCount).to.be(1)
+    expect(handler.lastCall.args[0]).to.eql({ foo: 'bar' })
+  })
+
+  it('removes handlers with off', function () {
+    var handler = simple.stub()
+    var other = simple.stub()
+    treasure.on('custom', handler)
+    treasure.on('custom', other)
+    treasure.off('custom', handler)
+    treasure._emit('custom')
+    expect(handler.callCount).to.be(0)
+    expect(other.callCount).to.be(1)
+
+    treasure.off('custom')
+    treasure._emit('custom')
+    expect(other.callCount).to.be(1)
+  })
+
+  it('keeps calling handlers when one throws', function () {
+    var handler = simple.stub()
+    treasure.on('custom', function () {
+      throw new Error('handler')
+    })
+    treasure.on('custom', handler)
+    treasure._emit('custom')
+    expect(handler.callCount).to.be(1)
+  })
+
+  describe('record events', function () {
+    it('emits record:queued and record:sent', function () {
+      var queued = simple.stub()
+      var sent = simple.stub()
+      simple.mock(treasure, '_postRecord').callFn(function (request, success) {
+        success({})
+      })
+      treasure.on('record:queued', queued)
+      treasure.on('record:sent', sent)
+      treasure.addRecord('table', { foo: 'bar' })
+
+      expect(queued.callCount).to.be(1)
+      expect(queued.lastCall.args[0].table).to.be('table')
+      expect(queued.lastCall.args[0].record.foo).to.be('bar')
+      expect(sent.callCount).to.be(1)
+    })
+
+    it('emits record:failed', function () {
+      var failed = simple.stub()
+      simple.mock(treasure, '_postRecord').callFn(function (request, success, error) {
+        error(new Error('failed'))
+      })
+      treasure.on('record:failed', failed)
+      treasure.addRecord('table', {})
+
+      expect(failed.callCount).to.be(1)
+      expect(failed.lastCall.args[0].error.message).to.be('failed')
+    })
+
+    it('emits record:blocked when events are blocked', function () {
+      var blocked = simple.stub()
+      simple.mock(treasure, '_postRecord')
+      treasure.on('record:blocked', blocked)
+      treasure.blockEvents()
+      treasure.addRecord('table', {})
+      treasure.unblockEvents()
+
+      expect(blocked.callCount).to.be(1)
+      expect(blocked.lastCall.args[0].reason).to.be('blocked')
+      expect(treasure._postRecord.callCount).to.be(0)
+    })
+
+    it('emits record:blocked when middleware cancels the record', function () {
+      var blocked = simple.stub()
+      treasure.on('record:blocked', blocked)
+      treasure.use(function () {
+        return null
+      })
+      treasure.addRecord('table', {})
+
+      expect(blocked.lastCall.args[0].reason).to.be('cancelled')
+    })
+  })
+
+  describe('mode events', function () {
+    it('emits mode:signed and mode:anonymous', function () {
+      var signed = simple.stub()
+      var anonymous = simple.stub()
+      treasure.on('mode:signed', signed)
+      treasure.on('mode:anonymous', anonymous)
+
+      treasure.setSignedMode()
+      treasure.setAnonymousMode(true)
+
+      expect(signed.callCount).to.be(1)
+      expect(anonymous.callCount).to.be(1)
+      expect(anonymous.lastCall.args[0].keepIdentifier).to.be(true)
+    })
+  })
+
+  describe('consent events', function () {
+    it('emits consent:changed', function () {
+      var changed = simple.stub()
+      treasure.on('consent:changed', changed)
+      treasure.addConsents({ analytics: { status: 'given' } })
+
+      expect(changed.callCount).to.be(1)
+      expect(changed.lastCall.args[0].purpose).to.be('analytics')
+      expect(changed.lastCall.args[0].consent.status).to.be('given')
+    })
+  })
+})
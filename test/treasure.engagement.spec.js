@@ -0,0 +1,187 @@
+var window = require('global/window')
+var expect = require('expect.js')
+var simple = require('simple-mock')
+var createTreasure = require('./helpers').createTreasure
+
+describe('Treasure Engagement', function () {
+  var td, dispose, clock, hasFocus
+
+  // Replaces the clock and timers so that time only moves with tick
+  function installClock () {
+    var timers = []
+    var nextId = 1
+    var fake = {
+      now: 1000000,
+      tick: function (milliseconds) {
+        var end = fake.now + milliseconds
+        var due
+        while ((due = nextTimer(end))) {
+          fake.now = due.at
+          if (due.interval) {
+            due.at += due.interval
+          } else {
+            clear(due.id)
+          }
+          due.fn()
+        }
+        fake.now = end
+      }
+    }
+
+    function nextTimer (end) {
+      var next = null
+      timers.forEach(function (timer) {
+        if (timer.at <= end && (!next || timer.at < next.at)) {
+          next = timer
+        }
+      })
+      return next
+    }
+
+    function add (fn, delay, interval) {
+      timers.push({ id: nextId, fn: fn, at: fake.now + (delay || 0), interval: interval })
+      return nextId++
+    }
+
+    function clear (id) {
+      timers = timers.filter(function (timer) {
+        return timer.id !== id
+      })
+    }
+
+    simple.mock(Date.prototype, 'getTime').callFn(function () {
+      return fake.now
+    })
+    simple.mock(global, 'setTimeout').callFn(function (fn, delay) {
+      return add(fn, delay, 0)
+    })
+    simple.mock(global, 'setInterval').callFn(function (fn, delay) {
+      return add(fn, delay, delay)
+    })
+    simple.mock(global, 'clearTimeout').callFn(clear)
+    simple.mock(global, 'clearInterval').callFn(clear)
+    return fake
+  }
+
+  function fire (target, type) {
+    var event = window.document.createEvent('Event')
+    event.initEvent(type, false, false)
+    target.dispatchEvent(event)
+  }
+
+  function trackedRecords () {
+    return td.trackEvent.calls.map(function (call) {
+      return call.args[1]
+    })
+  }
+
+  beforeEach(function () {
+    td = createTreasure()
+    simple.mock(td, 'addRecord').returnWith(null)
+    simple.mock(td, 'trackEvent')
+    td.trackPageview()
+    hasFocus = true
+    simple.mock(window.document, 'hasFocus').callFn(function () {
+      return hasFocus
+    })
+    clock = installClock()
+  })
+
+  afterEach(function () {
+    if (dispose) {
+      dispose()
+      dispose = null
+    }
+    simple.restore()
+  })
+
+  it('adds trackEngagement method', function () {
+    expect(typeof td.trackEngagement === 'function').ok()
+  })
+
+  it('tracks the engaged time of the pageview on pagehide', function () {
+    dispose = td.trackEngagement()
+    clock.tick(3000)
+    fire(window, 'pagehide')
+
+    var record = td.trackEvent.lastCall.args[1]
+    expect(td.trackEvent.lastCall.args[0]).to.be('engagement')
+    expect(record.td_engagement_type).to.be('final')
+    expect(record.td_engaged_ms).to.be(3000)
+    expect(record.td_pageview_id).to.be(td.getPageviewId())
+  })
+
+  it('sends heartbeats while the page is engaged', function () {
+    dispose = td.trackEngagement({ heartbeatInterval: 1000, tableName: 'time_on_page' })
+    clock.tick(2500)
+
+    var records = trackedRecords().filter(function (record) {
+      return record.td_engagement_type === 'heartbeat'
+    })
+    expect(records.length).to.be(2)
+    expect(records[1].td_engaged_ms).to.be(2000)
+    expect(td.trackEvent.lastCall.args[0]).to.be('time_on_page')
+  })
+
+  it('pauses after the idle timeout', function () {
+    dispose = td.trackEngagement({ idleTimeout: 1000 })
+    clock.tick(5000)
+    fire(window, 'pagehide')
+
+    expect(td.trackEvent.lastCall.args[1].td_engaged_ms).to.be(1000)
+  })
+
+  it('resumes on input after the idle timeout', function () {
+    dispose = td.trackEngagement({ idleTimeout: 1000 })
+    clock.tick(5000)
+    fire(window, 'keydown')
+    clock.tick(500)
+    fire(window, 'pagehide')
+
+    expect(td.trackEvent.lastCall.args[1].td_engaged_ms).to.be(1500)
+  })
+
+  it('pauses on blur', function () {
+    dispose = td.trackEngagement()
+    clock.tick(1000)
+    fire(window, 'blur')
+    clock.tick(5000)
+    fire(window, 'pagehide')
+
+    expect(td.trackEvent.lastCall.args[1].td_engaged_ms).to.be(1000)
+  })
+
+  it('does not count the time while the window is not focused', function () {
+    hasFocus = false
+    dispose = td.trackEngagement()
+    clock.tick(5000)
+    fire(window, 'pagehide')
+
+    var records = trackedRecords().filter(function (record) {
+      return record.td_engagement_type
+    })
+    expect(records).to.be.empty()
+  })
+
+  it('closes the previous pageview on a new pageview', function () {
+    dispose = td.trackEngagement()
+    var firstPageviewId = td.getPageviewId()
+    clock.tick(2000)
+    td.trackPageview()
+
+    var record = trackedRecords().filter(function (record) {
+      return record.td_engagement_type === 'final'
+    })[0]
+    expect(record.td_pageview_id).to.be(firstPageviewId)
+    expect(record.td_engaged_ms).to.be(2000)
+  })
+
+  it('lets you dispose the engagement tracker', function () {
+    dispose = td.trackEngagement()
+    expect(td._engagementTrackingInstalled).to.be(true)
+
+    dispose()
+    fire(window, 'pagehide')
+    expect(td._engagementTrackingInstalled).to.be(false)
+  })
+})
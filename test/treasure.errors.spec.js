@@ -0,0 +1,174 @@
+var window = require('global/window')
+var expect = require('expect.js')
+var simple = require('simple-mock')
+var createTreasure = require('./helpers').createTreasure
+
+describe('Treasure Errors', function () {
+  var td, dispose, initialUrl
+
+  // Dispatched without window.onerror, which the test runner uses to catch
+  // uncaught errors
+  function fire (type, properties) {
+    var event = window.document.createEvent('Event')
+    event.initEvent(type, false, false)
+    for (var name in properties) {
+      event[name] = properties[name]
+    }
+
+    var onerror = window.onerror
+    window.onerror = null
+    window.dispatchEvent(event)
+    window.onerror = onerror
+  }
+
+  function throwError (message) {
+    var error = new Error(message)
+    fire('error', {
+      message: 'Uncaught Error: ' + message,
+      filename: 'https://example.com/app.js',
+      lineno: 10,
+      colno: 5,
+      error: error
+    })
+    return error
+  }
+
+  function trackedRecords () {
+    return td.trackEvent.calls.map(function (call) {
+      return call.args[1]
+    })
+  }
+
+  beforeEach(function () {
+    initialUrl = window.location.href
+    td = createTreasure()
+    simple.mock(td, 'trackEvent').returnWith(null)
+  })
+
+  afterEach(function () {
+    if (dispose) {
+      dispose()
+      dispose = null
+    }
+    window.history.replaceState(null, '', initialUrl)
+    simple.restore()
+  })
+
+  it('adds trackErrors method', function () {
+    expect(typeof td.trackErrors === 'function').ok()
+  })
+
+  it('tracks uncaught errors', function () {
+    dispose = td.trackErrors()
+    var error = throwError('boom')
+
+    expect(td.trackEvent.lastCall.args[0]).to.be('errors')
+    expect(td.trackEvent.lastCall.args[1]).to.eql({
+      td_error_kind: 'error',
+      td_error_type: 'Error',
+      td_error_message: 'Uncaught Error: boom',
+      td_error_stack: error.stack || null,
+      td_error_source: 'https://example.com/app.js',
+      td_error_line: 10,
+      td_error_column: 5,
+      td_pageview_id: null
+    })
+  })
+
+  it('tracks unhandled rejections', function () {
+    dispose = td.trackErrors()
+    var error = new TypeError('failed')
+    error.stack = 'TypeError: failed\n    at load (https://example.com/lib.js:42:7)'
+    fire('unhandledrejection', { reason: error })
+    fire('unhandledrejection', { reason: { code: 404 } })
+
+    var records = trackedRecords()
+    expect(records[0].td_error_kind).to.be('unhandledrejection')
+    expect(records[0].td_error_type).to.be('TypeError')
+    expect(records[0].td_error_message).to.be('failed')
+    expect(records[0].td_error_source).to.be('https://example.com/lib.js')
+    expect(records[0].td_error_line).to.be(42)
+    expect(records[0].td_error_column).to.be(7)
+    expect(records[1].td_error_type).to.be('UnhandledRejection')
+    expect(records[1].td_error_message).to.be('{"code":404}')
+  })
+
+  it('ignores failed loads of resources', function () {
+    dispose = td.trackErrors()
+    fire('error', {})
+    expect(td.trackEvent.callCount).to.be(0)
+  })
+
+  it('dedupes errors per page', function () {
+    dispose = td.trackErrors()
+    throwError('boom')
+    throwError('boom')
+    expect(td.trackEvent.callCount).to.be(1)
+
+    window.history.replaceState(null, '', '?page=next')
+    throwError('boom')
+    expect(td.trackEvent.callCount).to.be(2)
+  })
+
+  it('limits the number of errors per page', function () {
+    dispose = td.trackErrors({ maxErrorsPerPage: 2 })
+    throwError('first')
+    throwError('second')
+    throwError('third')
+    expect(td.trackEvent.callCount).to.be(2)
+  })
+
+  it('limits the rate of errors', function () {
+    dispose = td.trackErrors({ rateLimit: 1, rateLimitInterval: 60000 })
+    throwError('first')
+    window.history.replaceState(null, '', '?page=next')
+    throwError('second')
+    expect(td.trackEvent.callCount).to.be(1)
+  })
+
+  it('lets you allow and deny urls', function () {
+    dispose = td.trackErrors({ allowUrls: [/example\.com/], denyUrls: ['/vendor/'] })
+    throwError('allowed')
+    fire('error', { message: 'denied', filename: 'https://example.com/vendor/ads.js' })
+    fire('error', { message: 'other', filename: 'https://other.com/app.js' })
+
+    expect(td.trackEvent.callCount).to.be(1)
+    expect(td.trackEvent.lastCall.args[1].td_error_message).to.be('Uncaught Error: allowed')
+  })
+
+  it('lets you allow and deny messages', function () {
+    dispose = td.trackErrors({ denyMessages: ['ResizeObserver loop', /^Script error\.?$/] })
+    fire('error', { message: 'ResizeObserver loop limit exceeded' })
+    fire('error', { message: 'Script error.' })
+    throwError('boom')
+
+    expect(td.trackEvent.callCount).to.be(1)
+  })
+
+  it('matches global regular expressions on every error', function () {
+    dispose = td.trackErrors({ denyMessages: [/boom/g] })
+    throwError('boom')
+    fire('error', { message: 'boom again' })
+
+    expect(td.trackEvent.callCount).to.be(0)
+  })
+
+  it('validates the url and message patterns', function () {
+    expect(function () {
+      td.trackErrors({ denyUrls: '/vendor/' })
+    }).to.throwException(/denyUrls must be an array of strings or regular expressions/)
+    expect(function () {
+      td.trackErrors({ allowMessages: ['boom', null] })
+    }).to.throwException(/allowMessages must be an array/)
+    expect(td._errorTrackingInstalled).to.be(false)
+  })
+
+  it('lets you dispose the error tracker', function () {
+    dispose = td.trackErrors()
+    dispose()
+    throwError('boom')
+
+    expect(td.trackEvent.callCount).to.be(0)
+    expect(td._errorTrackingInstalled).to.be(false)
+  })
+})
@@ -0,0 +1,230 @@
+var window = require('global/window')
+var expect = require('expect.js')
+var Treasure = require('../lib/treasure')
+var Forms = require('../lib/plugins/forms')
+var createTestElement = require('./helpers').createTestElement
+
+describe('Treasure Forms', function () {
+  var form, email, dispose, records
+
+  function fire (el, type) {
+    var event = window.document.createEvent('Event')
+    event.initEvent(type, true, false)
+    el.dispatchEvent(event)
+  }
+
+  function createField (tag, attributes) {
+    var el = createTestElement(tag, form)
+    for (var name in attributes) {
+      el.setAttribute(name, attributes[name])
+    }
+    return el
+  }
+
+  function type (el, value) {
+    el.value = value
+    fire(el, 'input')
+  }
+
+  function install (options) {
+    dispose = Forms.trackForms.call({
+      trackEvent: function (tableName, data) {
+        records.push({ tableName: tableName, data: data })
+      }
+    }, options)
+  }
+
+  beforeEach(function () {
+    records = []
+    form = createTestElement('form')
+    form.setAttribute('id', 'signup')
+    email = createField('input', { name: 'email', type: 'email' })
+  })
+
+  afterEach(function () {
+    if (dispose) {
+      dispose()
+      dispose = null
+    }
+    form.parentNode.removeChild(form)
+  })
+
+  it('adds trackForms method', function () {
+    var td = new Treasure({ database: 'database', writeKey: 'writeKey' })
+    expect(typeof td.trackForms === 'function').ok()
+  })
+
+  it('initializes _formTrackingInstalled when config is called', function () {
+    var td = {}
+    Forms.configure.call(td)
+    expect(td._formTrackingInstalled === false).ok()
+  })
+
+  it('tracks the start of a form once', function () {
+    install({ element: form })
+    fire(email, 'focusin')
+    fire(email, 'focusout')
+    fire(email, 'focusin')
+
+    var starts = records.filter(function (record) {
+      return record.data.td_form_event === 'start'
+    })
+    expect(starts.length).to.be(1)
+    expect(starts[0].tableName).to.be('forms')
+    expect(starts[0].data.td_form).to.be('signup')
+  })
+
+  it('tracks field interactions without values', function () {
+    install({ element: form })
+    fire(email, 'focusin')
+    type(email, 'jane@')
+    type(email, 'jan')
+    type(email, 'jane@example.com')
+    fire(email, 'change')
+    fire(email, 'focusout')
+
+    var data = records[records.length - 1].data
+    expect(data.td_form_event).to.be('field')
+    expect(data.td_form_field).to.be('email')
+    expect(data.td_form_field_type).to.be('email')
+    expect(data.td_form_field_time).to.be.a('number')
+    expect(data.td_form_field_changed).to.be(true)
+    expect(data.td_form_field_corrected).to.be(true)
+    expect(data).not.to.have.key('td_form_field_value')
+  })
+
+  it('captures the values of allowed fields', function () {
+    var plan = createField('select', { name: 'plan' })
+    plan.innerHTML = '<option value="free">Free</option><option value="pro">Pro</option>'
+    install({ element: form, captureValues: ['plan'] })
+
+    fire(plan, 'focusin')
+    plan.value = 'pro'
+    fire(plan, 'change')
+    fire(plan, 'focusout')
+
+    var data = records[records.length - 1].data
+    expect(data.td_form_field).to.be('plan')
+    expect(data.td_form_field_value).to.be('pro')
+    expect(data.td_form_field_corrected).to.be(false)
+  })
+
+  it('skips password fields even when allowed', function () {
+    var password = createField('input', { name: 'password', type: 'password' })
+    install({ element: form, captureValues: ['password'] })
+
+    fire(password, 'focusin')
+    type(password, 'secret')
+    fire(password, 'change')
+    fire(password, 'focusout')
+
+    expect(records).to.be.empty()
+  })
+
+  it('skips fields with the ignore attribute', function () {
+    var card = createField('input', { name: 'card', 'td-ignore': '' })
+    install({ element: form })
+
+    fire(card, 'focusin')
+    fire(card, 'focusout')
+    expect(records).to.be.empty()
+  })
+
+  it('tracks submits', function () {
+    install({ element: form })
+    fire(email, 'focusin')
+    fire(email, 'focusout')
+    fire(form, 'submit')
+
+    var data = records[records.length - 1].data
+    expect(data.td_form_event).to.be('submit')
+    expect(data.td_form_field_count).to.be(1)
+    expect(data.td_form_duration).to.be.a('number')
+  })
+
+  it('tracks abandoned forms when the page is hidden', function () {
+    var name = createField('input', { name: 'name' })
+    install({ element: form })
+    fire(email, 'focusin')
+    fire(email, 'focusout')
+    fire(name, 'focusin')
+    fire(window, 'pagehide')
+
+    var data = records[records.length - 1].data
+    expect(data.td_form_event).to.be('abandon')
+    expect(data.td_form_last_field).to.be('name')
+    expect(data.td_form_field_count).to.be(2)
+  })
+
+  it('does not track submitted forms as abandoned', function () {
+    install({ element: form })
+    fire(email, 'focusin')
+    fire(form, 'submit')
+    fire(window, 'pagehide')
+
+    expect(records[records.length - 1].data.td_form_event).to.be('submit')
+  })
+
+  it('tracks a new start when a submitted form is filled again', function () {
+    install({ element: form })
+    fire(email, 'focusin')
+    fire(form, 'submit')
+    fire(email, 'focusin')
+
+    var data = records[records.length - 1].data
+    expect(data.td_form_event).to.be('start')
+    fire(window, 'pagehide')
+    expect(records[records.length - 1].data.td_form_event).to.be('abandon')
+  })
+
+  it('tracks a new start after a reset, without an abandon', function () {
+    install({ element: form })
+    fire(email, 'focusin')
+    fire(form, 'reset')
+    fire(window, 'pagehide')
+    expect(records.length).to.be(1)
+
+    fire(email, 'focusin')
+    expect(records.length).to.be(2)
+    expect(records[1].data.td_form_event).to.be('start')
+  })
+
+  it('forgets forms removed from the page', function () {
+    var other = createTestElement('form')
+    var name = createTestElement('input', other)
+    name.setAttribute('name', 'name')
+    install({ element: window.document })
+    fire(name, 'focusin')
+    other.parentNode.removeChild(other)
+    fire(email, 'focusin')
+    fire(window, 'pagehide')
+
+    var abandons = records.filter(function (record) {
+      return record.data.td_form_event === 'abandon'
+    })
+    expect(abandons.length).to.be(1)
+    expect(abandons[0].data.td_form).to.be('signup')
+  })
+
+  it('only calls trackEvent if extendFormData returns truthy', function () {
+    install({
+      element: form,
+      extendFormData: function (event, data) {
+        return data.td_form_event === 'start' ? null : data
+      }
+    })
+    fire(email, 'focusin')
+    fire(email, 'focusout')
+
+    expect(records.length).to.be(1)
+    expect(records[0].data.td_form_event).to.be('field')
+  })
+
+  it('lets you dispose the form tracker', function () {
+    install({ element: form })
+    dispose()
+    dispose = null
+    fire(email, 'focusin')
+    expect(records).to.be.empty()
+  })
+})
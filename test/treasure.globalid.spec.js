@@ -9,6 +9,17 @@ describe('Treasure GlobalID', function () {
     expect(typeof td.fetchGlobalID === 'function').ok()
   })
 
+  it('returns a promise rejected when not in signed mode', function (done) {
+    var td = new Treasure({ database: 'foo', writeKey: 'writeKey' })
+    td.setAnonymousMode()
+    td.fetchGlobalID().then(function () {
+      done(new Error('but instead succeeded'))
+    }, function (error) {
+      expect(error).to.be('not in signed in mode')
+      done()
+    })
+  })
+
   describe('cacheSuccess', function () {
     beforeEach(function () {
       cookie.removeItem('foo')
@@ -0,0 +1,212 @@
+var window = require('global/window')
+var expect = require('expect.js')
+var simple = require('simple-mock')
+var helpers = require('./helpers')
+var createTestElement = helpers.createTestElement
+var createTreasure = helpers.createTreasure
+
+describe('Treasure Impressions', function () {
+  var td, dispose, container, observer, IntersectionObserver
+
+  // Test elements are hidden, so intersections are reported by hand
+  function FakeIntersectionObserver (callback, options) {
+    this.callback = callback
+    this.options = options
+    this.elements = []
+    observer = this
+  }
+  FakeIntersectionObserver.prototype.observe = function (element) {
+    this.elements.push(element)
+  }
+  FakeIntersectionObserver.prototype.unobserve = function (element) {
+    this.elements = this.elements.filter(function (observed) {
+      return observed !== element
+    })
+  }
+  FakeIntersectionObserver.prototype.disconnect = function () {
+    this.elements = []
+  }
+
+  function intersect (element, ratio) {
+    if (observer.elements.indexOf(element) === -1) return
+
+    observer.callback([{
+      target: element,
+      isIntersecting: ratio > 0,
+      intersectionRatio: ratio
+    }])
+  }
+
+  function createBanner (attributes) {
+    var banner = createTestElement('div', container)
+    for (var name in attributes) {
+      banner.setAttribute(name, attributes[name])
+    }
+    return banner
+  }
+
+  function wait (callback) {
+    setTimeout(callback, 30)
+  }
+
+  beforeEach(function () {
+    IntersectionObserver = window.IntersectionObserver
+    window.IntersectionObserver = FakeIntersectionObserver
+    container = createTestElement('div')
+    td = createTreasure()
+    simple.mock(td, 'addRecord').returnWith(null)
+    simple.mock(td, 'trackEvent')
+  })
+
+  afterEach(function () {
+    if (dispose) {
+      dispose()
+      dispose = null
+    }
+    window.IntersectionObserver = IntersectionObserver
+    container.parentNode.removeChild(container)
+    simple.restore()
+  })
+
+  it('adds trackImpressions method', function () {
+    expect(typeof td.trackImpressions === 'function').ok()
+  })
+
+  it('tracks elements visible long enough with their data attributes', function (done) {
+    var banner = createBanner({ id: 'hero', 'data-td-impression': 'hero-banner', 'data-td-product-id': '42' })
+    td.trackPageview()
+    dispose = td.trackImpressions({ duration: 10 })
+    intersect(banner, 0.6)
+
+    wait(function () {
+      expect(td.trackEvent.lastCall.args[0]).to.be('impressions')
+      var data = td.trackEvent.lastCall.args[1]
+      expect(data.tag).to.be('div')
+      expect(data.id).to.be('hero')
+      expect(data.td_impression).to.be('hero-banner')
+      expect(data.td_product_id).to.be('42')
+      expect(data.td_pageview_id).to.be(td.getPageviewId())
+      done()
+    })
+  })
+
+  it('does not track elements hidden before the duration', function (done) {
+    var banner = createBanner({ 'data-td-impression': '' })
+    dispose = td.trackImpressions({ duration: 20 })
+    intersect(banner, 1)
+    intersect(banner, 0)
+
+    wait(function () {
+      expect(td.trackEvent.callCount).to.be(0)
+      done()
+    })
+  })
+
+  it('needs the threshold to be visible', function (done) {
+    var banner = createBanner({ 'data-td-impression': '' })
+    dispose = td.trackImpressions({ duration: 10, threshold: 0.75 })
+    expect(observer.options.threshold).to.eql([0.75])
+    intersect(banner, 0.5)
+
+    wait(function () {
+      expect(td.trackEvent.callCount).to.be(0)
+      done()
+    })
+  })
+
+  it('tracks an element once per pageview', function (done) {
+    var banner = createBanner({ 'data-td-impression': '' })
+    dispose = td.trackImpressions({ duration: 10 })
+    intersect(banner, 1)
+
+    wait(function () {
+      intersect(banner, 0)
+      intersect(banner, 1)
+      td.trackPageview()
+      intersect(banner, 1)
+
+      wait(function () {
+        var impressions = td.trackEvent.calls.filter(function (call) {
+          return call.args[0] === 'impressions'
+        })
+        expect(impressions.length).to.be(2)
+        done()
+      })
+    })
+  })
+
+  it('lets you set the selector and skips ignored elements', function () {
+    var tile = createBanner({ 'class': 'tile' })
+    var ignored = createBanner({ 'class': 'tile', 'td-ignore': '' })
+    createBanner({ 'data-td-impression': '' })
+    dispose = td.trackImpressions({ selector: '.tile' })
+
+    expect(observer.elements.length).to.be(1)
+    expect(observer.elements[0]).to.be(tile)
+    expect(observer.elements).not.to.contain(ignored)
+  })
+
+  it('observes elements added later', function (done) {
+    dispose = td.trackImpressions({ element: container })
+    var banner = createBanner({ 'data-td-impression': '' })
+
+    wait(function () {
+      expect(observer.elements).to.contain(banner)
+      done()
+    })
+  })
+
+  it('stops observing removed elements and observes them again when added back', function (done) {
+    var banner = createBanner({ 'data-td-impression': '' })
+    dispose = td.trackImpressions({ element: container, duration: 10 })
+    intersect(banner, 1)
+    container.removeChild(banner)
+
+    wait(function () {
+      expect(observer.elements).not.to.contain(banner)
+      expect(td.trackEvent.callCount).to.be(0)
+
+      container.appendChild(banner)
+      wait(function () {
+        expect(observer.elements).to.contain(banner)
+        done()
+      })
+    })
+  })
+
+  it('does not track an element seen again after it was moved', function (done) {
+    var banner = createBanner({ 'data-td-impression': '' })
+    dispose = td.trackImpressions({ element: container, duration: 10 })
+    intersect(banner, 1)
+
+    wait(function () {
+      container.removeChild(banner)
+      container.appendChild(banner)
+      wait(function () {
+        expect(observer.elements).not.to.contain(banner)
+        expect(td.trackEvent.callCount).to.be(1)
+        done()
+      })
+    })
+  })
+
+  it('returns a dispose function without IntersectionObserver', function () {
+    window.IntersectionObserver = undefined
+    dispose = td.trackImpressions()
+    expect(dispose).to.be.a('function')
+    expect(td._impressionTrackingInstalled).to.be(false)
+  })
+
+  it('lets you dispose the impression tracker', function (done) {
+    var banner = createBanner({ 'data-td-impression': '' })
+    dispose = td.trackImpressions({ duration: 10 })
+    intersect(banner, 1)
+    dispose()
+
+    wait(function () {
+      expect(td.trackEvent.callCount).to.be(0)
+      expect(td._impressionTrackingInstalled).to.be(false)
+      done()
+    })
+  })
+})
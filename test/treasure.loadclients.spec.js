@@ -0,0 +1,58 @@
+var expect = require('expect.js')
+var Treasure = require('../lib/treasure')
+var loadClients = require('../lib/loadClients')
+
+describe('Treasure Load Clients', function () {
+  var name = 'TreasureLoadClientsSpec'
+
+  function createSnippetClient () {
+    var Snippet = window[name] = function () {}
+    var client = new Snippet()
+    Snippet.clients = [client]
+    client._init = [[{
+      database: 'database',
+      writeKey: 'writeKey',
+      development: true,
+      logging: false,
+      storage: {
+        domain: 'localhost'
+      }
+    }]]
+    return client
+  }
+
+  afterEach(function () {
+    delete window[name]
+  })
+
+  it('replays the calls made before the SDK was loaded', function () {
+    var client = createSnippetClient()
+    client._set = [['$global', 'foo', 'bar']]
+
+    loadClients(Treasure, name)
+    expect(client.get('$global').foo).to.be('bar')
+    expect(client._set).to.be(undefined)
+  })
+
+  it('keeps replaying after a call throws', function () {
+    var client = createSnippetClient()
+    var failed = new Promise(function (resolve, reject) {
+      var args = ['Invalid Table', {}]
+      args.resolve = reject
+      args.reject = resolve
+      client._addRecord = [args]
+    })
+    var sent = new Promise(function (resolve, reject) {
+      var args = ['table', {}]
+      args.resolve = resolve
+      args.reject = reject
+      client._addRecord.push(args)
+    })
+
+    loadClients(Treasure, name)
+    return Promise.all([failed, sent]).then(function (results) {
+      expect(results[0].message).to.contain('Table must be')
+      expect(results[1]).to.be(null)
+    })
+  })
+})
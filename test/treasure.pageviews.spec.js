@@ -0,0 +1,91 @@
+var window = require('global/window')
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var createTreasure = require('./helpers').createTreasure
+
+describe('Treasure Pageviews', function () {
+  var td, dispose, initialUrl
+
+  function wait (callback) {
+    setTimeout(callback, 10)
+  }
+
+  beforeEach(function () {
+    initialUrl = window.location.href
+    td = createTreasure()
+    simple.mock(td, 'trackEvent').returnWith(null)
+  })
+
+  afterEach(function () {
+    if (dispose) {
+      dispose()
+      dispose = null
+    }
+    window.history.replaceState(null, '', initialUrl)
+    simple.restore()
+  })
+
+  it('adds trackPageviewsAutomatically method', function () {
+    expect(typeof td.trackPageviewsAutomatically === 'function').ok()
+  })
+
+  it('does not track the current page by default', function () {
+    dispose = td.trackPageviewsAutomatically()
+    expect(td.trackEvent.callCount).to.be(0)
+  })
+
+  it('tracks the current page with trackInitialPageview', function () {
+    dispose = td.trackPageviewsAutomatically({ trackInitialPageview: true })
+    expect(td.trackEvent.callCount).to.be(1)
+    expect(td.trackEvent.lastCall.args[0]).to.be('pageviews')
+  })
+
+  it('tracks pushState with the previous url as referrer', function (done) {
+    dispose = td.trackPageviewsAutomatically({ debounce: 0 })
+    window.history.pushState(null, '', '?page=next')
+
+    wait(function () {
+      expect(td.trackEvent.callCount).to.be(1)
+      expect(td.getTrackValues().td_referrer).to.be(initialUrl.split('#')[0])
+      done()
+    })
+  })
+
+  it('tracks a push followed by a replace once', function (done) {
+    dispose = td.trackPageviewsAutomatically({ debounce: 0, tableName: 'spa' })
+    window.history.pushState(null, '', '?page=redirect')
+    window.history.replaceState(null, '', '?page=final')
+
+    wait(function () {
+      expect(td.trackEvent.callCount).to.be(1)
+      expect(td.trackEvent.lastCall.args[0]).to.be('spa')
+      done()
+    })
+  })
+
+  it('ignores state changes keeping the url', function (done) {
+    dispose = td.trackPageviewsAutomatically({ debounce: 0 })
+    window.history.replaceState({ scroll: 100 }, '')
+
+    wait(function () {
+      expect(td.trackEvent.callCount).to.be(0)
+      done()
+    })
+  })
+
+  it('lets you dispose the tracker', function (done) {
+    var pushState = window.history.pushState
+    dispose = td.trackPageviewsAutomatically({ debounce: 0 })
+    expect(window.history.pushState).not.to.be(pushState)
+
+    dispose()
+    expect(window.history.pushState).to.be(pushState)
+    expect(td._pageviewTrackingInstalled).to.be(false)
+
+    window.history.pushState(null, '', '?page=disposed')
+    wait(function () {
+      expect(td.trackEvent.callCount).to.be(0)
+      done()
+    })
+  })
+})
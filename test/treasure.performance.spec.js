@@ -0,0 +1,167 @@
+var window = require('global/window')
+var expect = require('expect.js')
+var simple = require('simple-mock')
+var createTreasure = require('./helpers').createTreasure
+
+describe('Treasure Performance', function () {
+  var td, dispose, observers, PerformanceObserver
+
+  function FakePerformanceObserver (callback) {
+    this.callback = callback
+    observers.push(this)
+  }
+  FakePerformanceObserver.prototype.observe = function (options) {
+    this.options = options
+  }
+  FakePerformanceObserver.prototype.disconnect = function () {
+    this.disconnected = true
+  }
+
+  function emit (type, entries) {
+    observers.forEach(function (observer) {
+      if (observer.options.type === type && !observer.disconnected) {
+        observer.callback({ getEntries: function () { return entries } })
+      }
+    })
+  }
+
+  function fire (target, type) {
+    var event = window.document.createEvent('Event')
+    event.initEvent(type, false, false)
+    target.dispatchEvent(event)
+  }
+
+  function lastRecord () {
+    return td.trackEvent.lastCall.args[1]
+  }
+
+  beforeEach(function () {
+    observers = []
+    PerformanceObserver = window.PerformanceObserver
+    window.PerformanceObserver = FakePerformanceObserver
+    simple.mock(window.performance, 'getEntriesByType').returnWith([{
+      responseStart: 120.4,
+      domainLookupStart: 10,
+      domainLookupEnd: 30,
+      connectStart: 30,
+      secureConnectionStart: 45,
+      connectEnd: 80,
+      domInteractive: 400,
+      loadEventEnd: 900
+    }])
+
+    td = createTreasure()
+    simple.mock(td, 'addRecord').returnWith(null)
+    simple.mock(td, 'trackEvent')
+    td.trackPageview()
+  })
+
+  afterEach(function () {
+    if (dispose) {
+      dispose()
+      dispose = null
+    }
+    window.PerformanceObserver = PerformanceObserver
+    simple.restore()
+  })
+
+  it('adds trackPerformance method', function () {
+    expect(typeof td.trackPerformance === 'function').ok()
+  })
+
+  it('sends the web vitals and navigation timing on pagehide', function () {
+    dispose = td.trackPerformance()
+    emit('paint', [{ name: 'first-paint', startTime: 200 }, { name: 'first-contentful-paint', startTime: 250.6 }])
+    emit('largest-contentful-paint', [{ startTime: 800 }, { startTime: 1200.2 }])
+    emit('layout-shift', [{ value: 0.05, startTime: 100 }, { value: 0.5, startTime: 300, hadRecentInput: true }])
+    emit('event', [{ interactionId: 1, duration: 80 }, { interactionId: 1, duration: 120 }, { interactionId: 2, duration: 48 }])
+    fire(window, 'pagehide')
+
+    expect(td.trackEvent.lastCall.args[0]).to.be('performance')
+    expect(lastRecord()).to.eql({
+      td_perf_ttfb: 120,
+      td_perf_dns: 20,
+      td_perf_tcp: 50,
+      td_perf_tls: 35,
+      td_perf_dom_interactive: 400,
+      td_perf_load: 900,
+      td_perf_lcp: 1200,
+      td_perf_fcp: 251,
+      td_perf_cls: 0.05,
+      td_perf_inp: 120,
+      td_pageview_id: td.getPageviewId()
+    })
+  })
+
+  it('keeps the largest window of layout shifts', function () {
+    dispose = td.trackPerformance()
+    emit('layout-shift', [
+      { value: 0.1, startTime: 100 },
+      { value: 0.1, startTime: 600 },
+      { value: 0.15, startTime: 3000 }
+    ])
+    fire(window, 'pagehide')
+
+    expect(lastRecord().td_perf_cls).to.be(0.2)
+  })
+
+  it('sends one record per pageview', function () {
+    dispose = td.trackPerformance()
+    var callCount = td.trackEvent.callCount
+
+    fire(window, 'pagehide')
+    fire(window, 'pagehide')
+    expect(td.trackEvent.callCount).to.be(callCount + 1)
+  })
+
+  it('sends the record when the page is hidden', function () {
+    dispose = td.trackPerformance()
+    var callCount = td.trackEvent.callCount
+
+    Object.defineProperty(window.document, 'visibilityState', { value: 'hidden', configurable: true })
+    fire(window.document, 'visibilitychange')
+    delete window.document.visibilityState
+    expect(td.trackEvent.callCount).to.be(callCount + 1)
+  })
+
+  it('closes the previous pageview on a new pageview', function () {
+    dispose = td.trackPerformance()
+    var firstPageviewId = td.getPageviewId()
+    emit('largest-contentful-paint', [{ startTime: 800 }])
+
+    td.trackPageview()
+    var record = td.trackEvent.calls[td.trackEvent.callCount - 2].args[1]
+    expect(record.td_pageview_id).to.be(firstPageviewId)
+    expect(record.td_perf_lcp).to.be(800)
+
+    fire(window, 'pagehide')
+    expect(lastRecord().td_pageview_id).to.be(td.getPageviewId())
+    expect(lastRecord().td_perf_lcp).to.be(null)
+    expect(lastRecord()).not.to.have.property('td_perf_ttfb')
+  })
+
+  it('optionally sends the slowest resources', function () {
+    dispose = td.trackPerformance({ slowResourceThreshold: 500, maxSlowResources: 1 })
+    emit('resource', [
+      { name: 'https://cdn.example.com/app.js', initiatorType: 'script', duration: 700 },
+      { name: 'https://cdn.example.com/logo.png', initiatorType: 'img', duration: 100 },
+      { name: 'https://cdn.example.com/hero.jpg', initiatorType: 'img', duration: 1500.4 }
+    ])
+    fire(window, 'pagehide')
+
+    expect(JSON.parse(lastRecord().td_perf_slow_resources)).to.eql([
+      { name: 'https://cdn.example.com/hero.jpg', initiator_type: 'img', duration: 1500 }
+    ])
+  })
+
+  it('lets you dispose the performance tracker', function () {
+    dispose = td.trackPerformance()
+    var callCount = td.trackEvent.callCount
+    dispose()
+    fire(window, 'pagehide')
+
+    expect(td.trackEvent.callCount).to.be(callCount)
+    expect(observers[0].disconnected).to.be(true)
+    expect(td._performanceTrackingInstalled).to.be(false)
+  })
+})
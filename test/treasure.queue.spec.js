@@ -0,0 +1,180 @@
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var createTreasure = require('./helpers').createTreasure
+var cookie = require('../lib/vendor/js-cookies')
+var BLOCKEVENTSCOOKIE = require('../lib/record').BLOCKEVENTSCOOKIE
+
+describe('Treasure Queue', function () {
+  var treasure
+  var storageKey = '__td_queue_database'
+
+  function getEntries () {
+    return JSON.parse(localStorage.getItem(storageKey)) || []
+  }
+
+  beforeEach(function () {
+    localStorage.removeItem(storageKey)
+  })
+
+  afterEach(function () {
+    simple.restore()
+    localStorage.removeItem(storageKey)
+    cookie.removeItem(BLOCKEVENTSCOOKIE)
+  })
+
+  it('adds flushQueue method', function () {
+    treasure = createTreasure()
+    expect(typeof treasure.flushQueue === 'function').ok()
+  })
+
+  it('is disabled by default', function () {
+    treasure = createTreasure()
+    expect(treasure.client.queue).to.be(false)
+  })
+
+  it('persists records until they are acknowledged', function () {
+    treasure = createTreasure({ queue: true })
+    simple.mock(treasure, '_postRecord').callFn(function () {})
+
+    treasure.addRecord('table', { foo: 'bar' })
+    var entries = getEntries()
+    expect(entries.length).to.be(1)
+    expect(entries[0].request.record.foo).to.be('bar')
+
+    var success = treasure._postRecord.lastCall.args[1]
+    success()
+    expect(getEntries().length).to.be(0)
+  })
+
+  it('keeps records when sending fails', function (done) {
+    treasure = createTreasure({ queue: true })
+    simple.mock(treasure, '_postRecord').callFn(function (request, success, error) {
+      error(new Error('offline'))
+    })
+
+    treasure.addRecord('table', { foo: 'bar' }, null, function () {
+      expect(getEntries().length).to.be(1)
+      done()
+    })
+  })
+
+  it('replays pending records on flushQueue', function () {
+    treasure = createTreasure({ queue: true })
+    simple.mock(treasure, '_postRecord').callFn(function (request, success, error) {
+      error(new Error('offline'))
+    })
+    treasure.addRecord('table', { foo: 'bar' })
+
+    treasure._postRecord.callFn(function (request, success) {
+      success()
+    })
+    treasure.flushQueue()
+
+    expect(treasure._postRecord.callCount).to.be(2)
+    expect(treasure._postRecord.lastCall.args[0].record.foo).to.be('bar')
+    expect(getEntries().length).to.be(0)
+  })
+
+  it('keeps replayed records sent with sendBeacon', function () {
+    treasure = createTreasure({ queue: true })
+    simple.mock(treasure, '_postRecord').callFn(function (request, success, error) {
+      error(new Error('offline'))
+    })
+    treasure.addRecord('table', { foo: 'bar' })
+
+    treasure._postRecord.callFn(function (request, success) {
+      success({ beacon: true })
+    })
+    treasure.flushQueue()
+
+    expect(treasure._postRecord.callCount).to.be(2)
+    var entries = getEntries()
+    expect(entries.length).to.be(1)
+    expect(entries[0].owner).to.be(null)
+  })
+
+  it('does not replay pending records while events are blocked', function () {
+    treasure = createTreasure({ queue: true })
+    simple.mock(treasure, '_postRecord').callFn(function (request, success, error) {
+      error(new Error('offline'))
+    })
+    treasure.addRecord('table', { foo: 'bar' })
+
+    treasure.blockEvents()
+    treasure.flushQueue()
+    expect(treasure._postRecord.callCount).to.be(1)
+    expect(getEntries().length).to.be(1)
+
+    treasure.unblockEvents()
+    treasure.flushQueue()
+    expect(treasure._postRecord.callCount).to.be(2)
+  })
+
+  it('drops the oldest records beyond maxSize', function () {
+    treasure = createTreasure({ queue: { maxSize: 2 } })
+    simple.mock(treasure, '_postRecord').callFn(function () {})
+
+    treasure.addRecord('table', { index: 1 })
+    treasure.addRecord('table', { index: 2 })
+    treasure.addRecord('table', { index: 3 })
+
+    var entries = getEntries()
+    expect(entries.length).to.be(2)
+    expect(entries[0].request.record.index).to.be(2)
+  })
+
+  it('does not resend records leased by another tab', function () {
+    treasure = createTreasure({ queue: true })
+    simple.mock(treasure, '_postRecord').callFn(function () {})
+    localStorage.setItem(storageKey, JSON.stringify([{
+      id: 'other',
+      timestamp: new Date().getTime(),
+      request: { record: { foo: 'bar' } },
+      owner: 'otherTab',
+      leasedAt: new Date().getTime()
+    }]))
+
+    treasure.flushQueue()
+    expect(treasure._postRecord.callCount).to.be(0)
+    expect(getEntries()[0].owner).to.be('otherTab')
+  })
+
+  it('resends records whose lease expired', function () {
+    treasure = createTreasure({ queue: { leaseTimeout: 1000 } })
+    simple.mock(treasure, '_postRecord').callFn(function (request, success) {
+      success()
+    })
+    localStorage.setItem(storageKey, JSON.stringify([{
+      id: 'other',
+      timestamp: new Date().getTime(),
+      request: { record: { foo: 'bar' } },
+      owner: 'closedTab',
+      leasedAt: new Date().getTime() - 2000
+    }]))
+
+    treasure.flushQueue()
+    expect(treasure._postRecord.callCount).to.be(1)
+    expect(getEntries().length).to.be(0)
+  })
+
+  it('keeps the records added by other tabs when settling', function () {
+    treasure = createTreasure({ queue: true })
+    simple.mock(treasure, '_postRecord').callFn(function () {})
+
+    treasure.addRecord('table', { foo: 'bar' })
+    var entries = getEntries()
+    entries.push({
+      id: 'other',
+      timestamp: new Date().getTime(),
+      request: { record: { foo: 'baz' } },
+      owner: 'otherTab',
+      leasedAt: new Date().getTime()
+    })
+    localStorage.setItem(storageKey, JSON.stringify(entries))
+
+    treasure._postRecord.lastCall.args[1]()
+    entries = getEntries()
+    expect(entries.length).to.be(1)
+    expect(entries[0].id).to.be('other')
+  })
+})
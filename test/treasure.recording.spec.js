@@ -5,6 +5,7 @@ var cookie = require('../lib/vendor/js-cookies')
 var Treasure = require('../lib/treasure')
 var config = require('../lib/config')
 var record = require('../lib/record')
+var api = require('../lib/utils/xhr')
 
 var BLOCKEVENTSCOOKIE = record.BLOCKEVENTSCOOKIE
 var SIGNEDMODECOOKIE = record.SIGNEDMODECOOKIE
@@ -327,6 +328,475 @@ describe('Treasure Record', function () {
     })
   })
 
+  describe('promise', function () {
+    beforeEach(function () {
+      resetConfiguration({ development: false })
+      treasure = new Treasure(configuration)
+    })
+
+    afterEach(function () {
+      simple.restore()
+    })
+
+    it('should resolve together with the success callback', function (done) {
+      var success = simple.stub()
+      simple.mock(treasure, '_postRecord').callFn(function (request, onSuccess) {
+        onSuccess({ ok: true })
+      })
+
+      treasure.addRecord('table', {}, success).then(function (response) {
+        expect(response).to.eql({ ok: true })
+        expect(success.callCount).to.be(1)
+        done()
+      })['catch'](done)
+    })
+
+    it('should reject together with the error callback', function (done) {
+      var error = simple.stub()
+      simple.mock(treasure, '_postRecord').callFn(function (request, onSuccess, onError) {
+        onError(new Error('failed'))
+      })
+
+      treasure.addRecord('table', {}, null, error).then(function () {
+        done(new Error('but instead succeeded'))
+      }, function (err) {
+        expect(err.message).to.be('failed')
+        expect(error.callCount).to.be(1)
+        done()
+      })
+    })
+
+    it('should resolve with null when the record is not sent', function (done) {
+      var success = simple.stub()
+      treasure.blockEvents()
+      treasure.addRecord('table', {}, success).then(function (response) {
+        treasure.unblockEvents()
+        expect(response).to.be(null)
+        expect(success.callCount).to.be(0)
+        done()
+      })['catch'](done)
+    })
+  })
+
+  describe('sampling', function () {
+    beforeEach(function () {
+      resetConfiguration({
+        development: false,
+        sampling: { clicks: 0, events: 1, scrolls: 0.5 }
+      })
+      treasure = new Treasure(configuration)
+      simple.mock(treasure, '_sendRecord')
+    })
+
+    afterEach(function () {
+      simple.restore()
+    })
+
+    it('should drop every record of a table sampled at 0', function () {
+      treasure.addRecord('clicks', {})
+      expect(treasure._sendRecord.callCount).to.be(0)
+    })
+
+    it('should keep records and add td_sample_rate', function () {
+      treasure.addRecord('events', {})
+      expect(treasure._sendRecord.callCount).to.be(1)
+      expect(treasure._sendRecord.lastCall.args[0].record.td_sample_rate).to.be(1)
+    })
+
+    it('should not touch tables without a sampling rate', function () {
+      treasure.addRecord('pageviews', {})
+      expect(treasure._sendRecord.callCount).to.be(1)
+      expect(treasure._sendRecord.lastCall.args[0].record).not.to.have.property('td_sample_rate')
+    })
+
+    it('should decide once per client id', function () {
+      var sampled = treasure._isSampled(0.5)
+      treasure.addRecord('scrolls', {})
+      treasure.addRecord('scrolls', {})
+      treasure.addRecord('scrolls', {})
+      expect(treasure._sendRecord.callCount).to.be(sampled ? 3 : 0)
+    })
+
+    it('should keep a client sampled at a lower rate in higher rates', function () {
+      for (var i = 0; i < 20; i++) {
+        treasure.resetUUID()
+        if (treasure._isSampled(0.1)) {
+          expect(treasure._isSampled(0.5)).to.be(true)
+        }
+      }
+    })
+  })
+
+  describe('event id and sequence', function () {
+    beforeEach(function () {
+      resetConfiguration({ development: false })
+    })
+
+    afterEach(function () {
+      simple.restore()
+    })
+
+    function createTreasure () {
+      treasure = new Treasure(configuration)
+      simple.mock(treasure, '_sendRecord')
+    }
+
+    function sentRecord (index) {
+      return treasure._sendRecord.calls[index].args[0].record
+    }
+
+    it('should stamp every record with a unique td_event_id', function () {
+      createTreasure()
+      treasure.addRecord('table', {})
+      treasure.addRecord('table', {})
+
+      expect(sentRecord(0).td_event_id).to.be.a('string')
+      expect(sentRecord(0).td_event_id).not.to.equal(sentRecord(1).td_event_id)
+    })
+
+    it('should keep a td_event_id set on the record', function () {
+      createTreasure()
+      treasure.addRecord('table', { td_event_id: 'event' })
+
+      expect(sentRecord(0).td_event_id).to.be('event')
+    })
+
+    it('should stamp an increasing td_sequence', function () {
+      createTreasure()
+      treasure.addRecord('table', {})
+      treasure.addRecord('other', {})
+
+      expect(sentRecord(0).td_sequence).to.be(1)
+      expect(sentRecord(1).td_sequence).to.be(2)
+    })
+
+    it('should allow renaming or disabling the fields', function () {
+      configuration.eventIdField = 'event_id'
+      configuration.sequenceField = false
+      createTreasure()
+      treasure.addRecord('table', {})
+
+      expect(sentRecord(0).event_id).to.be.a('string')
+      expect(sentRecord(0)).not.to.have.property('td_event_id')
+      expect(sentRecord(0)).not.to.have.property('td_sequence')
+    })
+  })
+
+  describe('destinations', function () {
+    beforeEach(function () {
+      resetConfiguration({
+        development: false,
+        destinations: [
+          { database: 'europe', writeKey: 'europeKey', host: 'eu01.records.in.treasuredata.com' },
+          { database: 'sales', writeKey: 'salesKey', tables: { allow: ['orders'] } },
+          { database: 'archive', writeKey: 'archiveKey', tables: { deny: ['orders'] } }
+        ]
+      })
+      treasure = new Treasure(configuration)
+      simple.mock(treasure, '_sendRecord')
+    })
+
+    afterEach(function () {
+      simple.restore()
+    })
+
+    function sentUrls () {
+      return _.map(treasure._sendRecord.calls, function (call) {
+        return call.args[0].url
+      })
+    }
+
+    it('should send the record to every destination accepting the table', function () {
+      treasure.addRecord('pageviews', { foo: 'bar' })
+      expect(sentUrls()).to.eql([
+        treasure.client.endpoint + 'database/pageviews',
+        'https://eu01.records.in.treasuredata.com' + treasure.client.pathname + 'europe/pageviews',
+        treasure.client.endpoint + 'archive/pageviews'
+      ])
+    })
+
+    it('should apply the table filters of each destination', function () {
+      treasure.addRecord('orders', { foo: 'bar' })
+      expect(sentUrls()).to.eql([
+        treasure.client.endpoint + 'database/orders',
+        'https://eu01.records.in.treasuredata.com' + treasure.client.pathname + 'europe/orders',
+        treasure.client.endpoint + 'sales/orders'
+      ])
+    })
+
+    it('should send the same record with the write key of each destination', function () {
+      treasure.addRecord('pageviews', { foo: 'bar' })
+      var calls = treasure._sendRecord.calls
+      expect(calls[1].args[0].apikey).to.be('europeKey')
+      expect(calls[1].args[0].record).to.be(calls[0].args[0].record)
+      expect(calls[0].args[0].record.td_client_id).to.be(calls[2].args[0].record.td_client_id)
+    })
+
+    it('should settle the callbacks with the main database', function () {
+      var success = simple.spy()
+      var error = simple.spy()
+      treasure.addRecord('pageviews', { foo: 'bar' }, success, error)
+
+      treasure._sendRecord.calls[1].args[2](new Error('failed'))
+      expect(error.callCount).to.be(0)
+
+      treasure._sendRecord.calls[0].args[1]('response')
+      expect(success.callCount).to.be(1)
+      expect(success.lastCall.args[0]).to.be('response')
+    })
+  })
+
+  describe('#use', function () {
+    beforeEach(function () {
+      resetConfiguration({ development: false })
+      treasure = new Treasure(configuration)
+      simple.mock(treasure, '_sendRecord')
+    })
+
+    afterEach(function () {
+      simple.restore()
+    })
+
+    it('should pass the table, record and database to middleware', function () {
+      var middleware = simple.spy(function (context) {
+        return context
+      })
+      treasure.set('table', { foo: 'foo' })
+      treasure.use(middleware)
+      treasure.addRecord('table', { bar: 'bar' })
+
+      var context = middleware.lastCall.args[0]
+      expect(context.table).to.be('table')
+      expect(context.database).to.be('database')
+      expect(context.record.foo).to.be('foo')
+      expect(context.record.bar).to.be('bar')
+      expect(treasure._sendRecord.callCount).to.be(1)
+    })
+
+    it('should send the record returned by middleware', function () {
+      treasure.use(function (context) {
+        return _.assign({}, context, { record: _.omit(context.record, ['email']) })
+      })
+      treasure.use(function (context) {
+        return _.assign({}, context, { record: _.assign({ enriched: true }, context.record) })
+      })
+      treasure.addRecord('table', { email: 'user@example.com', foo: 'foo' })
+
+      var record = treasure._sendRecord.lastCall.args[0].record
+      expect(record.enriched).to.be(true)
+      expect(record.foo).to.be('foo')
+      expect(record).not.to.have.property('email')
+    })
+
+    it('should cancel the record when middleware returns null', function () {
+      treasure.use(function () {
+        return null
+      })
+      treasure.addRecord('table', {})
+
+      expect(treasure._sendRecord.callCount).to.be(0)
+    })
+
+    it('should support asynchronous middleware', function (done) {
+      treasure.use(function (context) {
+        return Promise.resolve(_.assign({}, context, { table: 'other' }))
+      })
+      treasure.addRecord('table', {})
+
+      expect(treasure._sendRecord.callCount).to.be(0)
+      setTimeout(function () {
+        expect(treasure._sendRecord.callCount).to.be(1)
+        expect(treasure._sendRecord.lastCall.args[0].url).to.contain('/database/other')
+        done()
+      }, 0)
+    })
+
+    it('should keep the context when asynchronous middleware resolves nothing', function (done) {
+      treasure.use(function (context) {
+        return Promise.resolve().then(function () {
+          context.record.enriched = true
+        })
+      })
+      treasure.addRecord('table', { foo: 'foo' })
+
+      setTimeout(function () {
+        expect(treasure._sendRecord.callCount).to.be(1)
+        var record = treasure._sendRecord.lastCall.args[0].record
+        expect(record.foo).to.be('foo')
+        expect(record.enriched).to.be(true)
+        done()
+      }, 0)
+    })
+
+    it('should call the error callback when middleware throws', function () {
+      var error = simple.stub()
+      treasure.use(function () {
+        throw new Error('middleware')
+      })
+      treasure.addRecord('table', {}, _.noop, error)
+
+      expect(error.callCount).to.be(1)
+      expect(treasure._sendRecord.callCount).to.be(0)
+    })
+
+    it('should call the error callback when middleware returns an invalid context', function () {
+      var error = simple.stub()
+      treasure.use(function () {
+        return true
+      })
+      treasure.addRecord('table', {}, _.noop, error)
+
+      expect(error.callCount).to.be(1)
+      expect(error.lastCall.args[0].message).to.contain('Middleware must return')
+      expect(treasure._sendRecord.callCount).to.be(0)
+    })
+
+    it('should validate the table set by middleware', function (done) {
+      treasure.use(function (context) {
+        return Promise.resolve(_.assign({}, context, { table: 'Invalid Table' }))
+      })
+      treasure.addRecord('table', {}, function () {
+        done(new Error('should not be sent'))
+      }, function (err) {
+        expect(err.message).to.contain('Table must be')
+        expect(treasure._sendRecord.callCount).to.be(0)
+        done()
+      })
+    })
+
+    it('should accept middleware from the beforeSend option', function () {
+      resetConfiguration({
+        development: false,
+        beforeSend: [function () {
+          return null
+        }]
+      })
+      treasure = new Treasure(configuration)
+      simple.mock(treasure, '_sendRecord')
+      treasure.addRecord('table', {})
+
+      expect(treasure._sendRecord.callCount).to.be(0)
+    })
+  })
+
+  describe('#_postRecord', function () {
+    var request = {
+      apikey: 'writeKey',
+      record: { foo: 'bar' },
+      time: null,
+      type: 'jsonp',
+      url: 'https://in.treasuredata.com/js/v3/event/database/table'
+    }
+
+    beforeEach(function () {
+      resetConfiguration({ development: false })
+      treasure = new Treasure(configuration)
+      simple.mock(api, 'post').resolveWith({})
+      simple.mock(api, 'beacon').returnWith(true)
+    })
+
+    afterEach(function () {
+      simple.restore()
+    })
+
+    it('should use sendBeacon with the write key in the url while the page is hidden', function () {
+      var success = simple.stub()
+      simple.mock(treasure, '_isPageHidden').returnWith(true)
+      treasure._postRecord(request, success, _.noop)
+
+      expect(api.beacon.callCount).to.be(1)
+      expect(api.beacon.lastCall.args[0]).to.contain('api_key=writeKey')
+      expect(api.beacon.lastCall.args[1]).to.eql({ foo: 'bar' })
+      expect(api.post.callCount).to.be(0)
+      expect(success.callCount).to.be(1)
+      expect(success.lastCall.args[0]).to.eql({ beacon: true })
+    })
+
+    it('should keep queued records sent with sendBeacon', function () {
+      localStorage.removeItem('__td_queue_database')
+      resetConfiguration({ development: false, queue: true })
+      treasure = new Treasure(configuration)
+      simple.mock(treasure, '_isPageHidden').returnWith(true)
+      treasure.addRecord('table', { foo: 'bar' })
+
+      var entries = JSON.parse(localStorage.getItem('__td_queue_database'))
+      expect(api.beacon.callCount).to.be(1)
+      expect(entries.length).to.be(1)
+      expect(entries[0].owner).to.be(null)
+      localStorage.removeItem('__td_queue_database')
+    })
+
+    it('should not use sendBeacon while the page is visible', function () {
+      simple.mock(treasure, '_isPageHidden').returnWith(false)
+      treasure._postRecord(request, _.noop, _.noop)
+
+      expect(api.beacon.callCount).to.be(0)
+      expect(api.post.callCount).to.be(1)
+    })
+
+    it('should fall back when the beacon is refused', function () {
+      simple.mock(treasure, '_isPageHidden').returnWith(true)
+      simple.mock(api, 'beacon').returnWith(false)
+      treasure._postRecord(request, _.noop, _.noop)
+
+      expect(api.beacon.callCount).to.be(1)
+      expect(api.post.callCount).to.be(1)
+    })
+
+    it('should send through a custom transport', function (done) {
+      treasure.client.transport = {
+        send: simple.spy(function () {
+          return Promise.resolve('sent')
+        })
+      }
+      treasure._postRecord(request, function (response) {
+        var transportRequest = treasure.client.transport.send.lastCall.args[0]
+        expect(response).to.be('sent')
+        expect(transportRequest.apikey).to.be('writeKey')
+        expect(transportRequest.record).to.eql({ foo: 'bar' })
+        expect(transportRequest.url).to.contain(request.url + '?modified=')
+        expect(api.post.callCount).to.be(0)
+        expect(api.beacon.callCount).to.be(0)
+        done()
+      }, done)
+    })
+
+    it('should fail when the transport does not return a promise', function (done) {
+      treasure.client.retry = { maxAttempts: 3, baseDelay: 1, maxDelay: 1 }
+      treasure.client.transport = {
+        send: simple.stub().returnWith(true)
+      }
+      treasure._postRecord(request, function () {
+        done(new Error('should not succeed'))
+      }, function (err) {
+        expect(err.message).to.be('Transport send must return a Promise')
+        expect(treasure.client.transport.send.callCount).to.be(1)
+        done()
+      })
+    })
+
+    it('should fail when the transport throws', function (done) {
+      treasure.client.transport = {
+        send: simple.stub().throwWith(new Error('bridge unavailable'))
+      }
+      treasure._postRecord(request, function () {
+        done(new Error('should not succeed'))
+      }, function (err) {
+        expect(err.message).to.be('bridge unavailable')
+        done()
+      })
+    })
+
+    it('should not use sendBeacon when useBeacon is false', function () {
+      treasure.client.useBeacon = false
+      simple.mock(treasure, '_isPageHidden').returnWith(true)
+      treasure._postRecord(request, _.noop, _.noop)
+
+      expect(api.beacon.callCount).to.be(0)
+      expect(api.post.callCount).to.be(1)
+    })
+  })
+
   describe('GDPR', function () {
     beforeEach(function () {
       resetConfiguration({ development: false })
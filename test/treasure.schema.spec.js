@@ -0,0 +1,88 @@
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var createTreasure = require('./helpers').createTreasure
+
+describe('Treasure Schema', function () {
+  var treasure, violationCallback
+
+  beforeEach(function () {
+    violationCallback = simple.stub()
+    treasure = createTreasure({ schemaViolationCallback: violationCallback }, '_sendRecord')
+    treasure.defineSchema('purchases', {
+      order_id: { type: 'string', required: true, maxLength: 8 },
+      amount: { type: 'number', required: true },
+      quantity: { type: 'integer' },
+      currency: { type: 'string', 'enum': ['USD', 'JPY'] },
+      gift: { type: 'boolean' }
+    })
+  })
+
+  afterEach(function () {
+    simple.restore()
+  })
+
+  function sentRecord () {
+    return treasure._sendRecord.lastCall.args[0].record
+  }
+
+  it('adds defineSchema method', function () {
+    expect(typeof treasure.defineSchema === 'function').ok()
+  })
+
+  it('rejects invalid schemas', function () {
+    expect(function () {
+      treasure.defineSchema('purchases', { amount: { type: 'money' } })
+    }).to.throwException()
+    expect(function () {
+      treasure.defineSchema('purchases', { currency: { 'enum': 'USD' } })
+    }).to.throwException()
+  })
+
+  it('sends records matching the schema', function () {
+    treasure.addRecord('purchases', { order_id: 'a1', amount: 10, currency: 'USD', extra: 'kept' })
+    expect(treasure._sendRecord.callCount).to.be(1)
+    expect(sentRecord().extra).to.be('kept')
+    expect(violationCallback.callCount).to.be(0)
+  })
+
+  it('coerces values where it is safe', function () {
+    treasure.addRecord('purchases', { order_id: 12, amount: '10.5', quantity: '2', gift: 'true' })
+    expect(sentRecord().order_id).to.be('12')
+    expect(sentRecord().amount).to.be(10.5)
+    expect(sentRecord().quantity).to.be(2)
+    expect(sentRecord().gift).to.be(true)
+  })
+
+  it('reports violations instead of sending the record', function () {
+    var error = simple.stub()
+    treasure.addRecord('purchases', { order_id: 'too long id', amount: 'ten', quantity: 1.5, currency: 'EUR' }, null, error)
+
+    expect(treasure._sendRecord.callCount).to.be(0)
+    expect(violationCallback.callCount).to.be(1)
+    expect(violationCallback.lastCall.args[1]).to.be('purchases')
+
+    var rules = {}
+    var violations = violationCallback.lastCall.args[0]
+    for (var i = 0; i < violations.length; i++) {
+      rules[violations[i].field] = violations[i].rule
+    }
+    expect(rules).to.eql({ order_id: 'maxLength', amount: 'type', quantity: 'type', currency: 'enum' })
+    expect(error.lastCall.args[0].violations).to.be(violations)
+  })
+
+  it('reports missing required fields', function () {
+    treasure.addRecord('purchases', { order_id: 'a1' })
+    expect(treasure._sendRecord.callCount).to.be(0)
+    expect(violationCallback.lastCall.args[0][0]).to.eql({ field: 'amount', rule: 'required', value: undefined })
+  })
+
+  it('accepts schemas from the config', function () {
+    treasure = createTreasure({
+      schemas: {
+        events: { name: { required: true } }
+      }
+    }, '_sendRecord')
+    treasure.addRecord('events', {})
+    expect(treasure._sendRecord.callCount).to.be(0)
+  })
+})
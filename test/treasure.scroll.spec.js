@@ -0,0 +1,142 @@
+var expect = require('expect.js')
+var simple = require('simple-mock')
+var Treasure = require('../lib/treasure')
+var Scroll = require('../lib/plugins/scroll')
+var emitter = require('../lib/utils/emitter')
+
+describe('Treasure Scroll', function () {
+  var td, container
+
+  function createContainer () {
+    var listeners = []
+    return {
+      scrollTop: 0,
+      clientHeight: 100,
+      scrollHeight: 1000,
+      addEventListener: function (type, listener) {
+        listeners.push(listener)
+      },
+      removeEventListener: function (type, listener) {
+        listeners = listeners.filter(function (current) {
+          return current !== listener
+        })
+      },
+      scrollTo: function (scrollTop) {
+        this.scrollTop = scrollTop
+        listeners.forEach(function (listener) {
+          listener({ type: 'scroll' })
+        })
+      }
+    }
+  }
+
+  function trackedThresholds () {
+    return td.trackEvent.calls.map(function (call) {
+      return call.args[1].td_scroll_threshold
+    })
+  }
+
+  beforeEach(function () {
+    container = createContainer()
+    td = {
+      trackEvent: simple.spy(),
+      on: emitter.on,
+      off: emitter.off,
+      _emit: emitter.emit
+    }
+    Scroll.configure.call(td)
+  })
+
+  it('adds trackScrollDepth method', function () {
+    var treasure = new Treasure({ database: 'database', writeKey: 'writeKey' })
+    expect(typeof treasure.trackScrollDepth === 'function').ok()
+  })
+
+  it('tracks every percentage threshold crossed', function () {
+    Scroll.trackScrollDepth.call(td, { element: container })
+    container.scrollTo(500)
+
+    expect(trackedThresholds()).to.eql([25, 50])
+    expect(td.trackEvent.lastCall.args[0]).to.be('scrolls')
+    expect(td.trackEvent.lastCall.args[1]).to.eql({
+      td_scroll_threshold: 50,
+      td_scroll_unit: 'percent',
+      td_scroll_depth: 60
+    })
+  })
+
+  it('tracks each threshold once', function (done) {
+    Scroll.trackScrollDepth.call(td, { element: container, throttle: 0 })
+    container.scrollTo(300)
+    setTimeout(function () {
+      container.scrollTo(0)
+      container.scrollTo(300)
+      setTimeout(function () {
+        expect(trackedThresholds()).to.eql([25])
+        done()
+      }, 10)
+    }, 10)
+  })
+
+  it('throttles scroll events and checks the last position', function (done) {
+    Scroll.trackScrollDepth.call(td, { element: container, throttle: 20 })
+    container.scrollTo(200)
+    container.scrollTo(500)
+    container.scrollTo(900)
+    expect(trackedThresholds()).to.eql([25])
+
+    setTimeout(function () {
+      expect(trackedThresholds()).to.eql([25, 50, 75, 100])
+      done()
+    }, 40)
+  })
+
+  it('tracks thresholds again after a new pageview', function () {
+    Scroll.trackScrollDepth.call(td, { element: container, throttle: 0 })
+    container.scrollTo(300)
+    td._emit('pageview:tracked', { pageviewId: 'pageview' })
+    container.scrollTo(300)
+
+    expect(trackedThresholds()).to.eql([25, 25])
+  })
+
+  it('supports pixel thresholds', function () {
+    Scroll.trackScrollDepth.call(td, {
+      element: container,
+      thresholds: [300, 600],
+      unit: 'pixels',
+      tableName: 'depth'
+    })
+    container.scrollTo(250)
+
+    expect(td.trackEvent.lastCall.args[0]).to.be('depth')
+    expect(td.trackEvent.lastCall.args[1]).to.eql({
+      td_scroll_threshold: 300,
+      td_scroll_unit: 'pixels',
+      td_scroll_depth: 350
+    })
+  })
+
+  it('only calls trackEvent if extendScrollData returns truthy', function () {
+    Scroll.trackScrollDepth.call(td, {
+      element: container,
+      extendScrollData: function (data) {
+        return data.td_scroll_threshold === 50 && data
+      }
+    })
+    container.scrollTo(500)
+
+    expect(trackedThresholds()).to.eql([50])
+  })
+
+  it('lets you dispose the scroll tracker', function () {
+    var dispose = Scroll.trackScrollDepth.call(td, { element: container })
+    expect(td._scrollTrackingInstalled).to.be(true)
+
+    dispose()
+    container.scrollTo(500)
+    expect(td._scrollTrackingInstalled).to.be(false)
+    expect(td.trackEvent.callCount).to.be(0)
+    expect(td._listeners['pageview:tracked']).to.eql([])
+  })
+})
@@ -0,0 +1,131 @@
+var window = require('global/window')
+var simple = require('simple-mock')
+var expect = require('expect.js')
+var helpers = require('./helpers')
+var cookie = require('../lib/vendor/js-cookies')
+var SIGNEDMODECOOKIE = require('../lib/record').SIGNEDMODECOOKIE
+
+describe('Treasure Session', function () {
+  var treasure
+  var initialUrl = window.location.href
+
+  function createTreasure (session) {
+    treasure = helpers.createTreasure({ session: session }, '_sendRecord')
+    return treasure
+  }
+
+  function sentRecords (table) {
+    var records = []
+    treasure._sendRecord.calls.forEach(function (call) {
+      if (!table || call.args[0].url.split('/').pop() === table) {
+        records.push(call.args[0].record)
+      }
+    })
+    return records
+  }
+
+  function setInactiveFor (milliseconds) {
+    var state = treasure.getSession()
+    state.lastActivityAt -= milliseconds
+    state.startedAt -= milliseconds
+    treasure._writeSession(state)
+  }
+
+  afterEach(function () {
+    window.history.replaceState(null, '', initialUrl)
+    simple.restore()
+    cookie.removeItem('_td_ses')
+    cookie.removeItem(SIGNEDMODECOOKIE)
+  })
+
+  it('is disabled by default', function () {
+    createTreasure()
+    treasure.trackEvent('events')
+    expect(treasure.getSession()).to.be(null)
+    expect(sentRecords()[0]).not.to.have.property('td_session_id')
+  })
+
+  it('adds the session id and sequence to tracked events', function () {
+    createTreasure(true)
+    treasure.trackEvent('events')
+    treasure.trackPageview()
+
+    var records = sentRecords()
+    expect(records[0].td_session_id).to.be.a('string')
+    expect(records[1].td_session_id).to.be(records[0].td_session_id)
+    expect(records[0].td_session_seq).to.be(1)
+    expect(records[1].td_session_seq).to.be(2)
+  })
+
+  it('stores the session in a cookie in Signed Mode', function () {
+    createTreasure(true)
+    treasure.setSignedMode()
+    treasure.trackEvent('events')
+
+    expect(JSON.parse(cookie.getItem('_td_ses')).id).to.be(sentRecords()[0].td_session_id)
+  })
+
+  it('keeps the session in memory in Anonymous Mode', function () {
+    createTreasure(true)
+    treasure.setAnonymousMode()
+    treasure.trackEvent('events')
+
+    expect(cookie.getItem('_td_ses')).to.be(null)
+    expect(treasure.getSession().id).to.be(sentRecords()[0].td_session_id)
+  })
+
+  it('starts a new session after the inactivity timeout', function () {
+    createTreasure({ timeout: 60000 })
+    treasure.trackEvent('events')
+    setInactiveFor(60000)
+    treasure.trackEvent('events')
+
+    var records = sentRecords()
+    expect(records[1].td_session_id).not.to.be(records[0].td_session_id)
+    expect(records[1].td_session_seq).to.be(1)
+  })
+
+  it('records session_start and session_end to the configured table', function () {
+    createTreasure({ table: 'sessions' })
+    treasure.trackEvent('events')
+    var firstSessionId = treasure.getSession().id
+    setInactiveFor(1800000)
+    treasure.trackEvent('events')
+
+    var sessions = sentRecords('sessions')
+    expect(sessions.length).to.be(3)
+    expect(sessions[0].td_session_event).to.be('session_start')
+    expect(sessions[1].td_session_event).to.be('session_end')
+    expect(sessions[1].td_session_id).to.be(firstSessionId)
+    expect(sessions[1].td_session_seq).to.be(1)
+    expect(sessions[2].td_session_event).to.be('session_start')
+  })
+
+  it('emits session events', function () {
+    createTreasure(true)
+    var onStart = simple.spy()
+    treasure.on('session:start', onStart)
+    treasure.trackEvent('events')
+
+    expect(onStart.lastCall.arg).to.eql({ sessionId: treasure.getSession().id })
+  })
+
+  it('expires at midnight when configured', function () {
+    createTreasure({ expireAtMidnight: true, timeout: 172800000 })
+    treasure.trackEvent('events')
+    setInactiveFor(86400000)
+    treasure.trackEvent('events')
+
+    var records = sentRecords()
+    expect(records[1].td_session_id).not.to.be(records[0].td_session_id)
+  })
+  it('tolerates malformed campaign parameters', function () {
+    window.history.replaceState(null, '', '?utm_source=50%off')
+    createTreasure({ expireOnCampaignChange: true })
+
+    expect(function () {
+      treasure.trackEvent('events')
+    }).not.to.throwException()
+    expect(treasure.getSession().campaign).to.be('50%off||||')
+  })
+})
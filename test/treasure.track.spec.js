@@ -172,6 +172,36 @@ describe('Treasure Tracker', function () {
       })
     })
 
+    describe('device detection', function () {
+      it('should leave the browser and os to the server by default', function () {
+        var values = treasure.getTrackValues()
+        expect(values.td_browser).to.equal('td_browser')
+        expect(values.td_os_version).to.equal('td_os_version')
+        expect(values).not.to.have.property('td_device_type')
+      })
+
+      it('should detect the browser, os and device type', function () {
+        resetConfiguration()
+        configuration.deviceDetection = { highEntropy: false }
+        treasure = new Treasure(configuration)
+
+        var values = treasure.getTrackValues()
+        expect(values.td_browser).not.to.equal('td_browser')
+        expect(values.td_browser_version).not.to.equal('td_browser_version')
+        expect(values.td_os).not.to.equal('td_os')
+        expect(values.td_os_version).not.to.equal('td_os_version')
+        expect(['mobile', 'tablet', 'desktop']).to.contain(values.td_device_type)
+      })
+
+      it('should let you overwrite detected values', function () {
+        configuration.deviceDetection = true
+        configuration.track = { values: { td_device_type: 'kiosk' } }
+        treasure = new Treasure(configuration)
+
+        expect(treasure.getTrackValues().td_device_type).to.equal('kiosk')
+      })
+    })
+
     describe('cookies', function () {
       it('should let you disable storage by setting it to none', function () {
         configuration.storage = 'none'
@@ -281,13 +311,21 @@ describe('Treasure Tracker', function () {
       expect(spy.firstCall.args[3]).to.equal(failure)
     })
 
-    it('should pass all track values', function () {
+    it('should pass all track values and the pageview id', function () {
       var trackValues = treasure.getTrackValues()
       treasure.trackPageview()
       expect(spy.callCount).to.equal(1)
 
       var callKeys = getKeys(spy.firstCall.args[1])
-      expect(callKeys).to.eql(getKeys(trackValues))
+      expect(callKeys).to.eql(getKeys(trackValues).concat('td_event_id'))
+      expect(spy.firstCall.args[1].td_event_id).to.equal(treasure.getPageviewId())
+    })
+
+    it('should emit the pageview id', function () {
+      var handler = simple.spy()
+      treasure.on('pageview:tracked', handler)
+      treasure.trackPageview()
+      expect(handler.lastCall.args[0]).to.eql({ pageviewId: treasure.getPageviewId() })
     })
   })
 
@@ -334,6 +372,13 @@ describe('Treasure Tracker', function () {
       expect(spy.firstCall.args[3]).to.equal(failure)
     })
 
+    it('should return the promise of addRecord', function () {
+      var promise = Promise.resolve()
+      spy.returnWith(promise)
+      expect(treasure.trackEvent('table')).to.be(promise)
+      expect(treasure.trackPageview()).to.be(promise)
+    })
+
     it('should pass all track values', function () {
       var trackValues = treasure.getTrackValues()
       treasure.trackEvent()
@@ -3,6 +3,11 @@ var simple = require('simple-mock')
 var objectToBase64 = require('../lib/utils/objectToBase64')
 var generateUUID = require('../lib/utils/generateUUID')
 var fetchWithTimeout = require('../lib/utils/misc').fetchWithTimeout
+var throttle = require('../lib/utils/misc').throttle
+var api = require('../lib/utils/xhr')
+var userAgent = require('../lib/utils/userAgent')
+var setCookie = require('../lib/utils/setCookie')
+var cookie = require('../lib/vendor/js-cookies')
 var _ = require('lodash-compat')
 
 describe('Treasure Utils', function () {
@@ -61,5 +66,293 @@ describe('Treasure Utils', function () {
         }
       })
     })
+
+    describe('throttle', function () {
+      it('calls at most once per window and replays the last call', function (done) {
+        var fn = simple.spy()
+        var throttled = throttle(fn, 10)
+        throttled(1)
+        throttled(2)
+        throttled(3)
+        expect(fn.callCount).to.be(1)
+        expect(fn.lastCall.arg).to.be(1)
+
+        setTimeout(function () {
+          expect(fn.callCount).to.be(2)
+          expect(fn.lastCall.arg).to.be(3)
+          done()
+        }, 30)
+      })
+
+      it('drops the pending call on cancel', function (done) {
+        var fn = simple.spy()
+        var throttled = throttle(fn, 10)
+        throttled(1)
+        throttled(2)
+        throttled.cancel()
+
+        setTimeout(function () {
+          expect(fn.callCount).to.be(1)
+          done()
+        }, 30)
+      })
+    })
+  })
+
+  describe('xhr', function () {
+    describe('retry', function () {
+      function statusError (status, retryAfter) {
+        var error = new Error('status ' + status)
+        error.status = status
+        error.retryAfter = retryAfter
+        return error
+      }
+
+      function failingRequest (errors) {
+        var calls = 0
+        var send = function () {
+          var error = errors[calls++]
+          return error ? Promise.reject(error) : Promise.resolve('ok')
+        }
+        send.callCount = function () {
+          return calls
+        }
+        return send
+      }
+
+      var policy = { maxAttempts: 3, baseDelay: 1, maxDelay: 10 }
+
+      it('attempts a request only once by default', function (done) {
+        var send = failingRequest([statusError(500)])
+        api.retry(send)['catch'](function () {
+          expect(send.callCount()).to.be(1)
+          done()
+        })
+      })
+
+      it('retries network and server errors', function (done) {
+        var send = failingRequest([new Error('network'), statusError(503)])
+        api.retry(send, policy).then(function (result) {
+          expect(result).to.be('ok')
+          expect(send.callCount()).to.be(3)
+          done()
+        })['catch'](done)
+      })
+
+      it('gives up after maxAttempts', function (done) {
+        var send = failingRequest([statusError(500), statusError(500), statusError(500), statusError(500)])
+        api.retry(send, policy)['catch'](function (error) {
+          expect(error.status).to.be(500)
+          expect(send.callCount()).to.be(3)
+          done()
+        })
+      })
+
+      it('never retries client errors', function (done) {
+        var send = failingRequest([statusError(400)])
+        api.retry(send, policy)['catch'](function (error) {
+          expect(error.status).to.be(400)
+          expect(send.callCount()).to.be(1)
+          done()
+        })
+      })
+
+      it('rejects when the request throws', function (done) {
+        api.retry(function () {
+          throw new Error('invalid request')
+        }, policy)['catch'](function (error) {
+          expect(error.message).to.be('invalid request')
+          done()
+        })
+      })
+
+      it('resolves when the request does not return a promise', function (done) {
+        api.retry(function () {
+          return 'ok'
+        }, policy).then(function (result) {
+          expect(result).to.be('ok')
+          done()
+        })['catch'](done)
+      })
+
+      it('honors Retry-After on 429', function (done) {
+        var send = failingRequest([statusError(429, '0')])
+        var startTime = new Date().getTime()
+        api.retry(send, { maxAttempts: 2, baseDelay: 5000, maxDelay: 5000 }).then(function () {
+          expect(new Date().getTime() - startTime).to.be.below(1000)
+          expect(send.callCount()).to.be(2)
+          done()
+        })['catch'](done)
+      })
+    })
+  })
+
+  describe('setCookie', function () {
+    var jar
+
+    beforeEach(function () {
+      // Cookies can not be set on the top level domain
+      jar = {}
+      simple.mock(cookie, 'setItem').callFn(function (name, value, expires, path, domain) {
+        if (domain !== 'com') {
+          jar[name] = { value: value, domain: domain }
+        }
+      })
+      simple.mock(cookie, 'removeItem').callFn(function (name) {
+        delete jar[name]
+      })
+      simple.mock(cookie, 'getItem').callFn(function (name) {
+        return jar[name] ? jar[name].value : null
+      })
+    })
+
+    afterEach(function () {
+      simple.restore()
+    })
+
+    it('sets the cookie on the highest allowed domain', function () {
+      var storage = { domain: 'www.example.com' }
+      setCookie(storage, '_td', 'client')
+
+      expect(jar._td).to.eql({ value: 'client', domain: 'example.com' })
+      expect(storage.domain).to.be('example.com')
+      expect(_.keys(jar)).to.eql(['_td'])
+    })
+
+    it('is not misled by another tab writing the cookie', function () {
+      var storage = { domain: 'www.example.com' }
+      var getItem = cookie.getItem
+      cookie.getItem = simple.spy(function (name) {
+        // Another tab sets the cookie between each write and read back
+        return name === '_td' ? 'other' : getItem(name)
+      })
+      setCookie(storage, '_td', 'client')
+
+      var domains = _.map(_.filter(cookie.setItem.calls, function (call) {
+        return call.args[0] === '_td'
+      }), function (call) {
+        return call.args[4]
+      })
+      expect(domains).to.eql(['example.com'])
+      expect(storage.domain).to.be('example.com')
+    })
+  })
+
+  describe('userAgent', function () {
+    describe('parseUserAgent', function () {
+      it('parses desktop browsers', function () {
+        expect(userAgent.parseUserAgent(
+          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91'
+        )).to.eql({
+          browser: 'Edge',
+          browserVersion: '120.0.2210.91',
+          os: 'Windows',
+          osVersion: '10',
+          deviceType: 'desktop'
+        })
+        expect(userAgent.parseUserAgent(
+          'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:121.0) Gecko/20100101 Firefox/121.0'
+        )).to.eql({
+          browser: 'Firefox',
+          browserVersion: '121.0',
+          os: 'macOS',
+          osVersion: '10.15',
+          deviceType: 'desktop'
+        })
+      })
+
+      it('parses mobile browsers', function () {
+        expect(userAgent.parseUserAgent(
+          'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1.2 Mobile/15E148 Safari/604.1'
+        )).to.eql({
+          browser: 'Safari',
+          browserVersion: '17.1.2',
+          os: 'iOS',
+          osVersion: '17.1.2',
+          deviceType: 'mobile'
+        })
+        expect(userAgent.parseUserAgent(
+          'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Safari/537.36'
+        )).to.eql({
+          browser: 'Samsung Internet',
+          browserVersion: '23.0',
+          os: 'Android',
+          osVersion: '13',
+          deviceType: 'tablet'
+        })
+      })
+
+      it('returns null for unknown browsers', function () {
+        var device = userAgent.parseUserAgent('curl/8.0.1')
+        expect(device.browser).to.be(null)
+        expect(device.os).to.be(null)
+        expect(device.deviceType).to.be('desktop')
+      })
+    })
+
+    describe('applyClientHints', function () {
+      var device = userAgent.parseUserAgent(
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      )
+      var userAgentData = {
+        brands: [
+          { brand: 'Not_A Brand', version: '8' },
+          { brand: 'Chromium', version: '120' },
+          { brand: 'Google Chrome', version: '120' }
+        ],
+        mobile: false,
+        platform: 'Windows'
+      }
+
+      it('prefers the brand to the engine', function () {
+        var result = userAgent.applyClientHints(device, userAgentData, null)
+        expect(result.browser).to.be('Chrome')
+        expect(result.browserVersion).to.be('120')
+        expect(result.osVersion).to.be('10')
+      })
+
+      it('uses the high entropy values', function () {
+        var result = userAgent.applyClientHints(device, userAgentData, {
+          fullVersionList: [
+            { brand: 'Chromium', version: '120.0.6099.130' },
+            { brand: 'Google Chrome', version: '120.0.6099.130' }
+          ],
+          platformVersion: '15.0.0'
+        })
+        expect(result.browserVersion).to.be('120.0.6099.130')
+        expect(result.osVersion).to.be('11')
+      })
+
+      it('detects mobile devices', function () {
+        var result = userAgent.applyClientHints(device, _.assign({}, userAgentData, {
+          mobile: true,
+          platform: 'Android'
+        }), null)
+        expect(result.os).to.be('Android')
+        expect(result.osVersion).to.be(null)
+        expect(result.deviceType).to.be('mobile')
+      })
+    })
+
+    describe('detectDevice', function () {
+      it('completes the values with the high entropy values', function (done) {
+        var navigator = {
+          userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          userAgentData: {
+            brands: [{ brand: 'Google Chrome', version: '120' }],
+            mobile: false,
+            platform: 'macOS',
+            getHighEntropyValues: function () {
+              return Promise.resolve({ platformVersion: '14.2.1' })
+            }
+          }
+        }
+        var device = userAgent.detectDevice(navigator, true, function (completed) {
+          expect(completed.osVersion).to.be('14.2.1')
+          done()
+        })
+        expect(device.osVersion).to.be('10.15.7')
+      })
+    })
   })
 })